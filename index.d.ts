@@ -10,12 +10,671 @@ export class AbortError extends Error {
 	constructor(message: string | Error);
 }
 
+export type RetryAttempt = {
+	/**
+	The error of the attempt.
+	*/
+	readonly error: Error;
+
+	/**
+	The number of the attempt, starting at `1`.
+	*/
+	readonly attemptNumber: number;
+
+	/**
+	When the attempt failed, in milliseconds since the Unix epoch.
+	*/
+	readonly timestamp: number;
+
+	/**
+	The number of milliseconds waited after the attempt before the next one, or `0` if there was no next attempt.
+	*/
+	readonly delay: number;
+};
+
+export class RetryError extends AggregateError {
+	readonly name: 'RetryError';
+
+	/**
+	The errors of all the attempts, in order.
+	*/
+	readonly errors: Error[];
+
+	/**
+	The error of the last attempt.
+	*/
+	readonly cause: Error;
+
+	/**
+	Details about each failed attempt, in order.
+	*/
+	readonly attempts: readonly RetryAttempt[];
+
+	/**
+	The error `pRetry` rejects with when giving up and `aggregateErrors` is enabled.
+	*/
+	constructor(attempts: readonly RetryAttempt[]);
+}
+
+export class ResultError extends Error {
+	readonly name: 'ResultError';
+
+	/**
+	The result that was rejected by `retryIf`.
+	*/
+	readonly result: unknown;
+
+	/**
+	The error used for a result rejected by `retryIf`. `pRetry` rejects with it when giving up.
+	*/
+	constructor(result: unknown, attemptNumber: number);
+}
+
+export class TimeoutError extends Error {
+	readonly name: 'TimeoutError';
+
+	/**
+	The error an attempt is rejected with when it exceeds `attemptTimeout`.
+	*/
+	constructor(message?: string);
+}
+
+// eslint-disable-next-line @typescript-eslint/naming-convention -- Matches the `HTTPError` of `got` and `ky`
+export class HTTPError extends Error {
+	readonly name: 'HTTPError';
+
+	/**
+	The response of the last attempt. Its body has not been read.
+	*/
+	readonly response: Response;
+
+	/**
+	The request that was made.
+	*/
+	readonly request: Request;
+
+	/**
+	The HTTP status code of the response.
+	*/
+	readonly status: number;
+
+	/**
+	The error `retryFetch()` rejects with when the response has a status code outside of the 2xx range.
+	*/
+	constructor(response: Response, request: Request);
+}
+
+export type SpanAttributes = Record<string, string | number | boolean>;
+
+/**
+The subset of an OpenTelemetry span used for tracing. Spans of `@opentelemetry/api` can be used as is.
+*/
+export type RetrySpan = {
+	setAttribute(key: string, value: string | number | boolean): unknown;
+	addEvent(name: string, attributes?: SpanAttributes): unknown;
+	recordException(exception: Error | string): unknown;
+
+	/**
+	The `code` is an OpenTelemetry `SpanStatusCode`: `1` for OK and `2` for an error.
+	*/
+	setStatus(status: {code: number; message?: string}): unknown;
+	end(): unknown;
+};
+
+export type RetryTracer = {
+	/**
+	Start a span. The span of an attempt has the span of the whole call as `parent`.
+	*/
+	startSpan(name: string, options: {attributes: SpanAttributes; parent?: RetrySpan}): RetrySpan;
+};
+
+/**
+The state of a job that is waiting for its next attempt, as stored by the `durable` option.
+*/
+export type DurableRecord = {
+	/**
+	The number of the attempt that failed last.
+	*/
+	readonly attemptNumber: number;
+
+	/**
+	The time (in milliseconds since the epoch, by the clock) the first attempt started.
+	*/
+	readonly startTime: number;
+
+	/**
+	The time (in milliseconds since the epoch, by the clock) the next attempt is due.
+	*/
+	readonly nextRunTime: number;
+
+	/**
+	The delay (in milliseconds) before the next attempt.
+	*/
+	readonly delay: number;
+
+	/**
+	The error of the attempt that failed last.
+	*/
+	readonly error: {readonly name: string; readonly message: string; readonly code?: unknown};
+};
+
+/**
+Where the `durable` option keeps the state of the jobs. The records only contain JSON values.
+*/
+export type RetryStore = {
+	get(key: string): Promise<DurableRecord | undefined>;
+	set(key: string, record: DurableRecord): Promise<void>;
+	delete(key: string): Promise<void>;
+};
+
+export type DurableOptions = {
+	/**
+	Where the state is stored.
+	*/
+	readonly store: RetryStore;
+
+	/**
+	The key of the job in the store. Calls with the same key continue the same job.
+	*/
+	readonly key: string;
+};
+
+/**
+A store for the `durable` option that keeps the state in memory.
+*/
+export class MemoryRetryStore implements RetryStore {
+	get(key: string): Promise<DurableRecord | undefined>;
+	set(key: string, record: DurableRecord): Promise<void>;
+	delete(key: string): Promise<void>;
+}
+
+/**
+A store for the `durable` option that keeps the state in a JSON file, so that it survives restarts of the process.
+
+The file is replaced atomically on every change, and changes by the same instance are applied one at a time. Use one instance per file.
+
+Only works in Node.js and other runtimes with `node:fs`.
+*/
+export class FileRetryStore implements RetryStore {
+	/**
+	@param path - The path of the file. It is created when needed.
+	*/
+	constructor(path: string);
+
+	get(key: string): Promise<DurableRecord | undefined>;
+	set(key: string, record: DurableRecord): Promise<void>;
+	delete(key: string): Promise<void>;
+}
+
+export type CooldownRegistryOptions = {
+	/**
+	The clock used to expire cooldowns. Use the same clock as the calls that use the registry.
+	*/
+	readonly clock?: Clock;
+};
+
+/**
+Keeps track of the scopes, like hosts, tenants, or API keys, that asked to be left alone until a point in time. Share one instance between the calls that should coordinate, with the `cooldown` option.
+*/
+export class CooldownRegistry {
+	constructor(options?: CooldownRegistryOptions);
+
+	/**
+	Get the time (in milliseconds since the epoch, by the clock) until which the scope is cooling down, or `undefined` when it is not.
+	*/
+	get(scope: unknown): number | undefined;
+
+	/**
+	Make the scope cool down until the given time. A cooldown that ends later than the given time is kept.
+
+	@param until - The time (in milliseconds since the epoch, by the clock) or `Date` until which the scope cools down.
+	*/
+	set(scope: unknown, until: number | Date): void;
+
+	/**
+	End the cooldown of the scope.
+	*/
+	delete(scope: unknown): void;
+}
+
+export type CooldownOptions = {
+	/**
+	The registry shared by the calls that coordinate.
+	*/
+	readonly registry: CooldownRegistry;
+
+	/**
+	The scope of the call in the registry, like a host, tenant, or API key.
+	*/
+	readonly scope: unknown;
+};
+
+export type RetryKey = string | number | symbol;
+
+export type MetricTags = Record<string, string | number | boolean>;
+
+export type RetryMetrics = {
+	/**
+	Increment a counter by one.
+	*/
+	increment(name: string, tags: MetricTags): void;
+
+	/**
+	Record a value in a histogram.
+	*/
+	record(name: string, value: number, tags: MetricTags): void;
+};
+
+export type HedgeOptions = {
+	/**
+	The time (in milliseconds) to wait for the attempts in flight before starting another one.
+	*/
+	readonly delay: number;
+
+	/**
+	The maximum number of attempts in flight at the same time.
+
+	@default 2
+	*/
+	readonly maxInFlight?: number;
+};
+
+/**
+The source of time and randomness used for retrying. Any method left out uses the default.
+*/
+export type Clock = {
+	/**
+	Returns the current time in milliseconds.
+
+	@default Date.now
+	*/
+	readonly now?: () => number;
+
+	/**
+	Waits for the given number of milliseconds. It should reject with `signal.reason` when the signal is aborted.
+
+	Used for the delays between attempts and the timers of `attemptTimeout` and `maxRetryTime`.
+	*/
+	readonly sleep?: (milliseconds: number, signal?: AbortSignal) => Promise<void>;
+
+	/**
+	Returns a random number between `0` (inclusive) and `1` (exclusive).
+
+	@default Math.random
+	*/
+	readonly random?: () => number;
+};
+
+export type TestClock = Required<Clock> & {
+	/**
+	The number of milliseconds of each `sleep()` call, in order. This includes the timers of `attemptTimeout` and `maxRetryTime`.
+	*/
+	readonly sleeps: readonly number[];
+
+	/**
+	Advance the time by the given number of milliseconds, resolving the sleeps that are due along the way.
+	*/
+	tick(milliseconds: number): Promise<void>;
+
+	/**
+	Advance the time until no sleeps are pending.
+	*/
+	runAll(): Promise<void>;
+};
+
+export type TestClockOptions = {
+	/**
+	The initial time in milliseconds.
+
+	@default 0
+	*/
+	readonly now?: number;
+
+	/**
+	The source of randomness.
+
+	@default () => 0.5
+	*/
+	readonly random?: () => number;
+};
+
+/**
+Create a clock that only advances when told to, for deterministic tests without real waiting or global fake timers.
+
+@example
+```
+import pRetry, {createTestClock} from 'p-retry';
+
+const clock = createTestClock();
+
+const promise = pRetry(run, {clock, minTimeout: 1000});
+await clock.runAll();
+await promise;
+
+console.log(clock.sleeps);
+//=> [1000, 2000]
+```
+*/
+export function createTestClock(options?: TestClockOptions): TestClock;
+
+export class CircuitOpenError extends Error {
+	readonly name: 'CircuitOpenError';
+
+	/**
+	The error `pRetry` rejects with when the `circuitBreaker` does not allow an attempt.
+	*/
+	constructor(message?: string);
+}
+
+export type CircuitBreakerState = 'closed' | 'open' | 'half-open';
+
+export type CircuitBreakerOptions = {
+	/**
+	The rate of failed attempts (above `0` and up to `1`) in the window that opens the circuit.
+
+	@default 0.5
+	*/
+	readonly failureThreshold?: number;
+
+	/**
+	The minimum number of attempts in the window before the circuit can open. It must be at most `windowSize`.
+
+	@default 10
+	*/
+	readonly minimumAttempts?: number;
+
+	/**
+	The number of most recent attempts used to calculate the failure rate.
+
+	@default 20
+	*/
+	readonly windowSize?: number;
+
+	/**
+	The number of milliseconds an open circuit waits before letting probe attempts through.
+
+	@default 30000
+	*/
+	readonly cooldown?: number;
+
+	/**
+	The number of probe attempts let through while half-open. The circuit closes when all of them succeed and opens again as soon as one fails.
+
+	@default 1
+	*/
+	readonly probeAttempts?: number;
+
+	/**
+	The source of time. Only `now()` is used.
+	*/
+	readonly clock?: Clock;
+};
+
+/**
+A circuit breaker that can be shared between `pRetry` calls to fail fast while a dependency is known to be down.
+
+- `closed`: Attempts are let through and their outcomes are recorded.
+- `open`: Attempts are rejected with a `CircuitOpenError` until `cooldown` has passed.
+- `half-open`: Up to `probeAttempts` attempts are let through to check whether the dependency has recovered.
+
+@example
+```
+import pRetry, {CircuitBreaker} from 'p-retry';
+
+const circuitBreaker = new CircuitBreaker({failureThreshold: 0.5, cooldown: 10_000});
+
+const getUnicorn = () => pRetry(fetchUnicorn, {circuitBreaker});
+```
+*/
+export class CircuitBreaker {
+	constructor(options?: CircuitBreakerOptions);
+
+	/**
+	The current state of the circuit.
+	*/
+	get state(): CircuitBreakerState;
+
+	/**
+	Whether an attempt may be made. While half-open, this reserves one of the probe attempts.
+	*/
+	allowAttempt(): boolean;
+
+	/**
+	Record a successful attempt.
+	*/
+	recordSuccess(): void;
+
+	/**
+	Record a failed attempt.
+	*/
+	recordFailure(): void;
+
+	/**
+	Close the circuit and forget the recorded outcomes.
+	*/
+	reset(): void;
+}
+
+export type RetryBudgetOptions = {
+	/**
+	The ratio of retries to requests allowed within the window. For example, `0.2` allows one retry for every five requests.
+
+	@default 0.2
+	*/
+	readonly ratio?: number;
+
+	/**
+	The number of retries that are always allowed within the window, regardless of the number of requests. This lets low-traffic callers retry.
+
+	@default 10
+	*/
+	readonly minRetries?: number;
+
+	/**
+	The number of milliseconds that requests and retries count toward the budget.
+
+	@default 10000
+	*/
+	readonly window?: number;
+
+	/**
+	The source of time. Only `now()` is used.
+	*/
+	readonly clock?: Clock;
+};
+
+/**
+A retry budget that can be shared between `pRetry` calls to limit the load caused by retries during an outage.
+
+Each `pRetry` call counts as a request, and each retry withdraws from the budget. When the budget is exhausted, `pRetry` stops retrying and rejects with the last error.
+
+@example
+```
+import pRetry, {RetryBudget} from 'p-retry';
+
+// Retries may be at most 20% of the requests in the last 10 seconds
+const retryBudget = new RetryBudget({ratio: 0.2, window: 10_000});
+
+const getUnicorn = () => pRetry(fetchUnicorn, {retryBudget});
+```
+*/
+export class RetryBudget {
+	constructor(options?: RetryBudgetOptions);
+
+	/**
+	The number of requests within the window.
+	*/
+	get requests(): number;
+
+	/**
+	The number of retries within the window.
+	*/
+	get retries(): number;
+
+	/**
+	The number of retries currently left in the budget.
+	*/
+	get available(): number;
+
+	/**
+	The total number of retries that were denied because the budget was exhausted.
+	*/
+	get rejected(): number;
+
+	/**
+	Record a request. `pRetry` calls this once per call.
+	*/
+	recordRequest(): void;
+
+	/**
+	Withdraw a retry from the budget. Returns `false` if the budget is exhausted.
+	*/
+	allowRetry(): boolean;
+}
+
 export type RetryContext = {
 	readonly error: Error;
 	readonly attemptNumber: number;
 	readonly retriesLeft: number;
 };
 
+export type AttemptContext = {
+	/**
+	The number of the current attempt, starting at `1`.
+	*/
+	readonly attemptNumber: number;
+
+	/**
+	The number of retries left after this attempt.
+	*/
+	readonly retriesLeft: number;
+
+	/**
+	The error of the previous attempt, or `undefined` on the first attempt.
+	*/
+	readonly previousError: Error | undefined;
+
+	/**
+	The number of milliseconds elapsed since the first attempt started.
+	*/
+	readonly elapsed: number;
+
+	/**
+	Aborted when the `signal` option is aborted, `maxRetryTime` runs out, or the attempt exceeds `attemptTimeout`.
+
+	Pass it to the operation (for example, `fetch`) so that it can be cancelled mid-flight.
+	*/
+	readonly signal: AbortSignal;
+};
+
+export type BackoffContext = RetryContext & {
+	/**
+	The delay (in milliseconds) that was used before the current attempt, or `undefined` on the first failure.
+	*/
+	readonly previousDelay: number | undefined;
+};
+
+export type BackoffStrategy =
+	| 'exponential'
+	| 'linear'
+	| 'constant'
+	| 'fibonacci'
+	| 'full-jitter'
+	| 'equal-jitter'
+	| 'decorrelated-jitter';
+
+export type OnRetryContext = RetryContext & {
+	/**
+	The number of milliseconds that will be waited before the next attempt.
+	*/
+	readonly delay: number;
+
+	/**
+	The number of the next attempt.
+	*/
+	readonly nextAttemptNumber: number;
+};
+
+export type OnSuccessContext = {
+	/**
+	The number of the attempt that succeeded, which is also the number of attempts used.
+	*/
+	readonly attemptNumber: number;
+
+	/**
+	The number of milliseconds elapsed since the first attempt started.
+	*/
+	readonly elapsed: number;
+};
+
+/**
+Why retrying stopped.
+
+- `'retries-exhausted'`: All `retries` were used.
+- `'max-retry-time'`: `maxRetryTime` ran out.
+- `'should-retry'`: `shouldRetry` returned `false`.
+- `'aborted'`: The `signal` option was aborted.
+- `'non-retryable'`: The error is never retried, like an `AbortError` or a `TypeError` that is not a network error, or the `retryAttempts()` loop was left after a failed attempt.
+- `'circuit-open'`: The `circuitBreaker` is open.
+- `'retry-budget'`: The `retryBudget` is exhausted.
+*/
+export type GiveUpReason =
+	| 'retries-exhausted'
+	| 'max-retry-time'
+	| 'should-retry'
+	| 'aborted'
+	| 'non-retryable'
+	| 'circuit-open'
+	| 'retry-budget';
+
+export type OnGiveUpContext = {
+	/**
+	The error that `pRetry` rejects with.
+	*/
+	readonly error: unknown;
+
+	/**
+	Why retrying stopped.
+	*/
+	readonly reason: GiveUpReason;
+
+	/**
+	The number of the last attempt, or `0` if no attempt was made.
+	*/
+	readonly attemptNumber: number;
+
+	/**
+	The number of milliseconds elapsed since the first attempt started.
+	*/
+	readonly elapsed: number;
+};
+
+export type FallbackContext = OnGiveUpContext & {
+	/**
+	The failed attempts, oldest first.
+	*/
+	readonly attempts: readonly RetryAttempt[];
+};
+
+/**
+Describes a retryable error.
+
+- An error class: The error is an instance of it.
+- A string: The `code` of the error (or of its `cause`), like `'ECONNRESET'`.
+- A number: The HTTP status code in `status`, `statusCode`, or `response.status` of the error.
+- A function: Returns `true` if the error is retryable.
+*/
+export type RetryOnMatcher =
+	| (abstract new (...arguments_: any[]) => Error)
+	| string
+	| number
+	| ((error: Error) => boolean);
+
+export type ResultContext = {
+	readonly attemptNumber: number;
+	readonly retriesLeft: number;
+};
+
 export type Options = {
 	/**
 	Callback invoked on each retry. Receives a context object containing the error and retry state information.
@@ -44,93 +703,509 @@ export type Options = {
 		retries: 5
 	});
 
-	console.log(result);
+	console.log(result);
+	```
+
+	The `onFailedAttempt` function can return a promise. For example, to add a [delay](https://github.com/sindresorhus/delay):
+
+	@example
+	```
+	import pRetry from 'p-retry';
+	import delay from 'delay';
+
+	const run = async () => { … };
+
+	const result = await pRetry(run, {
+		onFailedAttempt: async () => {
+			console.log('Waiting for 1 second before retrying');
+			await delay(1000);
+		}
+	});
+	```
+
+	If the `onFailedAttempt` function throws, all retries will be aborted and the original promise will reject with the thrown error.
+	*/
+	readonly onFailedAttempt?: (context: RetryContext) => void | Promise<void>;
+
+	/**
+	Decide if a retry should occur based on the context. Returning true triggers a retry, false aborts with the error.
+
+	It is only called if `retries` and `maxRetryTime` have not been exhausted.
+
+	It is not called for `TypeError` (except network errors), errors not matching `retryOn`, and `AbortError`.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	const run = async () => { … };
+
+	const result = await pRetry(run, {
+		shouldRetry: ({error, attemptNumber, retriesLeft}) => !(error instanceof CustomError)
+	});
+	```
+
+	In the example above, the operation will be retried unless the error is an instance of `CustomError`.
+	*/
+	readonly shouldRetry?: (context: RetryContext) => boolean | Promise<boolean>;
+
+	/**
+	Callback invoked when a retry has been decided on, right before waiting for the delay. Receives the retry context along with the `delay` and the `nextAttemptNumber`.
+
+	Unlike `onFailedAttempt`, it's only called when a retry will actually happen.
+
+	If the `onRetry` function throws, all retries will be aborted and the original promise will reject with the thrown error.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	const run = async () => { … };
+
+	await pRetry(run, {
+		onRetry({error, delay, nextAttemptNumber}) {
+			console.log(`Retrying in ${delay}ms as attempt ${nextAttemptNumber} because of: ${error.message}`);
+		}
+	});
+	```
+	*/
+	readonly onRetry?: (context: OnRetryContext) => void | Promise<void>;
+
+	/**
+	Callback invoked when an attempt succeeds, with the number of attempts used and the elapsed time.
+	*/
+	readonly onSuccess?: (context: OnSuccessContext) => void | Promise<void>;
+
+	/**
+	Callback invoked right before `pRetry` rejects, with the error and the reason retrying stopped.
+
+	It's not called when one of the callbacks throws.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	const run = async () => { … };
+
+	await pRetry(run, {
+		onGiveUp({reason, attemptNumber}) {
+			console.log(`Gave up after ${attemptNumber} attempts: ${reason}`);
+		}
+	});
+	```
+	*/
+	readonly onGiveUp?: (context: OnGiveUpContext) => void | Promise<void>;
+
+	/**
+	Only retry errors that match one of these. Other errors are thrown right away without calling `onFailedAttempt` or `shouldRetry`.
+
+	This replaces the default rule of not retrying `TypeError` (except network errors), so `TypeError`s are retried when they match. Use `retryOn: [Error]` to retry any error. `AbortError` is never retried.
+
+	@example
+	```
+	import pRetry, {TimeoutError} from 'p-retry';
+
+	const run = async () => { … };
+
+	await pRetry(run, {
+		retryOn: [
+			TimeoutError,
+			'ECONNRESET',
+			'ETIMEDOUT',
+			503,
+			error => error.message.includes('temporarily unavailable')
+		]
+	});
+	```
+	*/
+	readonly retryOn?: readonly RetryOnMatcher[];
+
+	/**
+	Decide if a resolved value should be treated as a failed attempt, for example, a "not ready yet" response. Returning `true` retries.
+
+	The attempt then fails with a `ResultError` that has the value as `result`, and goes through `onFailedAttempt`, `shouldRetry`, and the delay like any other failure. When giving up, `pRetry` rejects with the `ResultError` of the last attempt.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	const job = await pRetry(() => getJob(id), {
+		retryIf: job => job.status === 'pending'
+	});
+	```
+	*/
+	readonly retryIf?: (result: any, context: ResultContext) => boolean | Promise<boolean>;
+
+	/**
+	The maximum amount of times to retry the operation.
+
+	@default 10
+	*/
+	readonly retries?: number;
+
+	/**
+	The exponential factor to use.
+
+	@default 2
+	*/
+	readonly factor?: number;
+
+	/**
+	The number of milliseconds before starting the first retry.
+
+	@default 1000
+	*/
+	readonly minTimeout?: number;
+
+	/**
+	The maximum number of milliseconds between two retries.
+
+	@default Infinity
+	*/
+	readonly maxTimeout?: number;
+
+	/**
+	The strategy used to calculate the delay before the next attempt.
+
+	- `'exponential'`: `minTimeout * factor ** (attemptNumber - 1)`.
+	- `'linear'`: `minTimeout * attemptNumber`.
+	- `'constant'`: Always `minTimeout`.
+	- `'fibonacci'`: `minTimeout` multiplied by the Fibonacci sequence (1, 1, 2, 3, 5, …).
+	- `'full-jitter'`: A random delay between `0` and the exponential delay.
+	- `'equal-jitter'`: Half of the exponential delay plus a random amount up to the other half.
+	- `'decorrelated-jitter'`: A random delay between `minTimeout` and three times the previous delay.
+
+	The jitter strategies are [described by AWS](https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/).
+
+	You can also pass a function that receives the retry context along with the previous delay and returns the number of milliseconds to wait.
+
+	The result is always capped by `maxTimeout` and the time left of `maxRetryTime`.
+
+	@default 'exponential'
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	const run = async () => { … };
+
+	await pRetry(run, {
+		backoff: ({attemptNumber}) => attemptNumber * 500
+	});
+	```
+	*/
+	readonly backoff?: BackoffStrategy | ((context: BackoffContext) => number);
+
+	/**
+	Override the delay before the next attempt, for example, with a hint provided by the server.
+
+	Return the number of milliseconds to wait, or `undefined` to fall back to the delay hint of the error and then to `backoff`.
+
+	By default, the error itself is checked for a hint:
+	- `error.retryAfter` as a number of milliseconds or a `Date`.
+	- A [`Retry-After`](https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Retry-After) header (seconds or HTTP date) in `error.response.headers` or `error.headers`, which can be a `Headers` instance or a plain object.
+
+	The delay is still capped by `maxTimeout` and the time left of `maxRetryTime`.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	const run = async () => { … };
+
+	await pRetry(run, {
+		getRetryDelay: ({error}) => error.code === 'RATE_LIMITED' ? 60_000 : undefined
+	});
+	```
+	*/
+	readonly getRetryDelay?: (context: RetryContext) => number | undefined | Promise<number | undefined>;
+
+	/**
+	Randomizes the timeouts by multiplying with a factor between 1 and 2.
+
+	Not applied to the jitter strategies of `backoff` or a custom `backoff` function.
+
+	@default false
+	*/
+	readonly randomize?: boolean;
+
+	/**
+	The maximum time (in milliseconds) that the retried operation is allowed to run.
+
+	When it runs out, the signal passed to `input` is aborted with a `TimeoutError`.
+
+	@default Infinity
+	*/
+	readonly maxRetryTime?: number;
+
+	/**
+	The maximum time (in milliseconds) that a single attempt is allowed to run.
+
+	When exceeded, the signal passed to `input` is aborted and the attempt is rejected with a `TimeoutError`, which is handled like any other failure, so it goes through `onFailedAttempt` and `shouldRetry`.
+
+	@default Infinity
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	await pRetry(async (attemptNumber, {signal}) => {
+		const response = await fetch('https://sindresorhus.com/unicorn', {signal});
+		return response.json();
+	}, {attemptTimeout: 5000});
+	```
+	*/
+	readonly attemptTimeout?: number;
+
+	/**
+	Start another attempt in parallel when the attempts in flight have not settled after `hedge.delay` milliseconds, to cut tail latency. The first attempt to succeed wins, and the signals of the others are aborted. Only use it for operations that are safe to run more than once at the same time, like reads.
+
+	Each hedged attempt has its own attempt number and counts towards `retries`. When an attempt fails while others are still in flight, the others are awaited instead. Once all of them failed, the last error is handled like any other failure. An error that is not retried fails right away.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+
+	// Ask another replica when the first one takes longer than 100 milliseconds
+	await pRetry(async (attemptNumber, {signal}) => {
+		const response = await fetch(`https://replica-${attemptNumber}.sindresorhus.com/unicorn`, {signal});
+		return response.json();
+	}, {hedge: {delay: 100, maxInFlight: 3}});
+	```
+	*/
+	readonly hedge?: HedgeOptions;
+
+	/**
+	Trace the call with a span named `retry`, which has a child span named `retry.attempt` for each attempt.
+
+	- The span of the call has the `retry.max_retries` and `retry.attempts` attributes, and the `retry.give_up_reason` attribute when giving up. It gets a `retry` event with the `retry.attempt_number`, `retry.delay`, and `retry.error` attributes before each retry.
+	- The span of an attempt has the `retry.attempt_number` attribute.
+	- A span that failed records the error as an exception and gets an error status.
+
+	The tracer only needs a `startSpan` method, so there is no dependency on OpenTelemetry. An adapter for `@opentelemetry/api` is a few lines.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+	import {trace, context} from '@opentelemetry/api';
+
+	const otelTracer = trace.getTracer('my-app');
+
+	const tracer = {
+		startSpan(name, {attributes, parent}) {
+			const parentContext = parent ? trace.setSpan(context.active(), parent) : context.active();
+			return otelTracer.startSpan(name, {attributes}, parentContext);
+		}
+	};
+
+	await pRetry(run, {tracer});
+	```
+	*/
+	readonly tracer?: RetryTracer;
+
+	/**
+	Report metrics about the call. Each metric is tagged with `operation` when the `operation` option is set.
+
+	Counters, reported with `metrics.increment(name, tags)`:
+
+	- `retry.attempts`: An attempt was started.
+	- `retry.retries`: A failed attempt is retried.
+	- `retry.successes`: The call succeeded. Tagged with `retried`, which is `true` when it took more than one attempt.
+	- `retry.give_ups`: The call gave up. Tagged with the `reason`, like in `onGiveUp`.
+
+	Histograms, reported with `metrics.record(name, value, tags)`:
+
+	- `retry.delay`: The delay (in milliseconds) before a retry.
+	- `retry.elapsed`: The time (in milliseconds) the call took. Tagged with the `outcome`, which is `'success'` or `'give-up'`.
+
+	There is no dependency on a metrics library. An adapter is a few lines.
+
+	@example
+	```
+	import pRetry from 'p-retry';
+	import {metrics} from '@opentelemetry/api';
+
+	const meter = metrics.getMeter('my-app');
+	const counters = new Map();
+	const histograms = new Map();
+
+	const retryMetrics = {
+		increment(name, tags) {
+			if (!counters.has(name)) {
+				counters.set(name, meter.createCounter(name));
+			}
+
+			counters.get(name).add(1, tags);
+		},
+		record(name, value, tags) {
+			if (!histograms.has(name)) {
+				histograms.set(name, meter.createHistogram(name, {unit: 'ms'}));
+			}
+
+			histograms.get(name).record(value, tags);
+		}
+	};
+
+	await pRetry(fetchUser, {metrics: retryMetrics, operation: 'fetch-user'});
+	```
+	*/
+	readonly metrics?: RetryMetrics;
+
+	/**
+	Store the attempt number, the time of the next attempt, and the last error of the job after each failed attempt, so that a call with the same `key` after a restart of the process continues where it stopped.
+
+	The resumed call starts with the attempt after the stored one, waits for what is left of the delay, and keeps the original start time for `maxRetryTime`. The record is deleted when the job succeeds or gives up, except when giving up because of the `signal`, so that an aborted job can be resumed. The errors of the previous run are not part of a `RetryError`.
+
+	@example
+	```
+	import pRetry, {FileRetryStore} from 'p-retry';
+
+	const store = new FileRetryStore('retries.json');
+
+	await pRetry(() => syncBilling(account), {
+		retries: 20,
+		maxRetryTime: 24 * 60 * 60 * 1000,
+		durable: {store, key: `billing-sync:${account.id}`}
+	});
+	```
+	*/
+	readonly durable?: DurableOptions;
+
+	/**
+	Share the retries between concurrent calls with the same key. A call made while the retries of another call with the same key are in progress does not start its own, and gets the same result or error instead.
+
+	The options and `input` of the first call are used, except for `signal`: aborting a call rejects its own promise, and the retries are only aborted once every call sharing them is aborted. The key is released when the retries settle, so the next call starts over. Keys are compared with `SameValueZero`, like the keys of a `Map`, and are shared by the whole process, so make them specific, for example by prefixing them with the name of the operation.
+
+	@example
 	```
+	import pRetry from 'p-retry';
 
-	The `onFailedAttempt` function can return a promise. For example, to add a [delay](https://github.com/sindresorhus/delay):
+	// Concurrent requests for the same user share one request to the backend
+	const getUser = id => pRetry(() => fetchUser(id), {key: `user:${id}`});
+	```
+	*/
+	readonly key?: RetryKey;
+
+	/**
+	Coordinate with the other calls in the same scope. When an attempt fails with a retry delay hint, like a `Retry-After` header or a delay from `getRetryDelay`, the whole scope cools down until then. Each attempt of a call in the scope waits for the cooldown to end first.
+
+	The wait for a cooldown is not capped by `maxTimeout`, but it still ends when the `signal` is aborted, and the call gives up right away when the cooldown would outlast `maxRetryTime`. Cooldowns can also be set directly on the registry.
 
 	@example
 	```
-	import pRetry from 'p-retry';
-	import delay from 'delay';
+	import pRetry, {CooldownRegistry} from 'p-retry';
 
-	const run = async () => { … };
+	const cooldowns = new CooldownRegistry();
 
-	const result = await pRetry(run, {
-		onFailedAttempt: async () => {
-			console.log('Waiting for 1 second before retrying');
-			await delay(1000);
-		}
+	const request = url => pRetry(() => fetchJson(url), {
+		cooldown: {registry: cooldowns, scope: new URL(url).host}
 	});
 	```
-
-	If the `onFailedAttempt` function throws, all retries will be aborted and the original promise will reject with the thrown error.
 	*/
-	readonly onFailedAttempt?: (context: RetryContext) => void | Promise<void>;
+	readonly cooldown?: CooldownOptions;
 
 	/**
-	Decide if a retry should occur based on the context. Returning true triggers a retry, false aborts with the error.
+	Resolve with the value returned by this function instead of rejecting when giving up. It receives the same context as `onGiveUp`, with the failed `attempts` added. An error thrown by it is rejected with.
 
-	It is only called if `retries` and `maxRetryTime` have not been exhausted.
+	It is not called when giving up because the `signal` was aborted, unless `fallbackOnAbort` is set, or when a callback like `onFailedAttempt` throws.
 
-	It is not called for `TypeError` (except network errors) and `AbortError`.
+	With `makeRetriable()`, it is called with the `this` of the wrapped call, and the context has the `arguments` of the call.
 
 	@example
 	```
 	import pRetry from 'p-retry';
 
-	const run = async () => { … };
-
-	const result = await pRetry(run, {
-		shouldRetry: ({error, attemptNumber, retriesLeft}) => !(error instanceof CustomError)
+	const price = await pRetry(() => fetchPrice(id), {
+		retries: 3,
+		fallback({error}) {
+			console.warn('Using the cached price:', error.message);
+			return cache.get(id);
+		}
 	});
 	```
-
-	In the example above, the operation will be retried unless the error is an instance of `CustomError`.
 	*/
-	readonly shouldRetry?: (context: RetryContext) => boolean | Promise<boolean>;
+	readonly fallback?: (context: FallbackContext) => unknown;
 
 	/**
-	The maximum amount of times to retry the operation.
+	Also call `fallback` when giving up because the `signal` was aborted.
 
-	@default 10
+	@default false
 	*/
-	readonly retries?: number;
+	readonly fallbackOnAbort?: boolean;
 
 	/**
-	The exponential factor to use.
-
-	@default 2
+	The name of the operation, used to tag the `metrics`.
 	*/
-	readonly factor?: number;
+	readonly operation?: string;
 
 	/**
-	The number of milliseconds before starting the first retry.
+	A `CircuitBreaker` that is consulted before each attempt and receives the outcome of each attempt.
 
-	@default 1000
+	While the circuit is open, `pRetry` rejects with a `CircuitOpenError` right away instead of retrying. Attempts aborted with the `signal` option are not recorded.
+
+	@example
+	```
+	import pRetry, {CircuitBreaker} from 'p-retry';
+
+	const circuitBreaker = new CircuitBreaker();
+
+	const run = async () => { … };
+
+	await pRetry(run, {circuitBreaker});
+	```
 	*/
-	readonly minTimeout?: number;
+	readonly circuitBreaker?: CircuitBreaker;
 
 	/**
-	The maximum number of milliseconds between two retries.
+	A `RetryBudget` that is consulted before scheduling each retry.
 
-	@default Infinity
+	When the budget is exhausted, retrying stops and the last error is thrown.
+
+	@example
+	```
+	import pRetry, {RetryBudget} from 'p-retry';
+
+	const retryBudget = new RetryBudget({ratio: 0.2});
+
+	const run = async () => { … };
+
+	await pRetry(run, {retryBudget});
+	```
 	*/
-	readonly maxTimeout?: number;
+	readonly retryBudget?: RetryBudget;
 
 	/**
-	Randomizes the timeouts by multiplying with a factor between 1 and 2.
+	Reject with a `RetryError` containing the errors of all the attempts instead of only the last error when giving up.
+
+	The last error is available as `cause`. Aborting with the `signal` option and errors thrown by the callbacks are not wrapped.
 
 	@default false
+
+	@example
+	```
+	import pRetry, {RetryError} from 'p-retry';
+
+	const run = async () => { … };
+
+	try {
+		await pRetry(run, {retries: 3, aggregateErrors: true});
+	} catch (error) {
+		if (error instanceof RetryError) {
+			for (const {attemptNumber, error: attemptError, delay} of error.attempts) {
+				console.log(`Attempt ${attemptNumber} failed with "${attemptError.message}" and waited ${delay}ms`);
+			}
+		}
+	}
+	```
 	*/
-	readonly randomize?: boolean;
+	readonly aggregateErrors?: boolean;
 
 	/**
-	The maximum time (in milliseconds) that the retried operation is allowed to run.
+	The source of time and randomness, for example, a clock from `createTestClock()` for deterministic tests.
 
-	@default Infinity
+	When provided, `unref` has no effect on the methods of the clock.
 	*/
-	readonly maxRetryTime?: number;
+	readonly clock?: Clock;
 
 	/**
 	You can abort retrying using [`AbortController`](https://developer.mozilla.org/en-US/docs/Web/API/AbortController).
@@ -170,7 +1245,7 @@ Returns a `Promise` that is fulfilled when calling `input` returns a fulfilled p
 
 Does not retry on most `TypeErrors`, with the exception of network errors. This is done on a best case basis as different browsers have different [messages](https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API/Using_Fetch#Checking_that_the_fetch_was_successful) to indicate this. See [whatwg/fetch#526 (comment)](https://github.com/whatwg/fetch/issues/526#issuecomment-554604080)
 
-@param input - Receives the number of attempts as the first argument and is expected to return a `Promise` or any value.
+@param input - Receives the number of attempts as the first argument and an `AttemptContext` as the second argument. It is expected to return a `Promise` or any value.
 @param options - Options for configuring the retry behavior.
 
 @example
@@ -191,11 +1266,43 @@ const run = async () => {
 console.log(await pRetry(run, {retries: 5}));
 ```
 */
+export default function pRetry<T, Fallback>(
+	input: (attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T,
+	options: Options & {readonly fallback: (context: FallbackContext) => PromiseLike<Fallback> | Fallback}
+): Promise<T | Fallback>;
 export default function pRetry<T>(
-	input: (attemptNumber: number) => PromiseLike<T> | T,
+	input: (attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T,
 	options?: Options
 ): Promise<T>;
 
+export type MakeRetriableOptions<Arguments extends readonly unknown[], Result = unknown> = Omit<Options, 'key' | 'fallback'> & {
+	/**
+	Same as the `key` option of `pRetry`. When it is a function, it is called with the arguments of each call to get its key, and returning `undefined` does not share the call.
+
+	@example
+	```
+	import {makeRetriable} from 'p-retry';
+
+	const getUser = makeRetriable(fetchUser, {key: id => `user:${id}`});
+	```
+	*/
+	readonly key?: RetryKey | ((...arguments_: Arguments) => RetryKey | undefined);
+
+	/**
+	Same as the `fallback` option of `pRetry`, but called with the `this` of the wrapped call, and with the `arguments` of the call in the context.
+
+	@example
+	```
+	import {makeRetriable} from 'p-retry';
+
+	const getPrice = makeRetriable(fetchPrice, {
+		fallback: ({arguments: [id]}) => cache.get(id)
+	});
+	```
+	*/
+	readonly fallback?: (context: FallbackContext & {readonly arguments: Arguments}) => PromiseLike<Result> | Result;
+};
+
 /**
 Wrap a function so that each call is automatically retried on failure.
 
@@ -210,5 +1317,321 @@ const response = await fetchWithRetry('https://sindresorhus.com/unicorn');
 */
 export function makeRetriable<Arguments extends readonly unknown[], Result>(
 	function_: (...arguments_: Arguments) => PromiseLike<Result> | Result,
-	options?: Options
+	options?: MakeRetriableOptions<Arguments, Result>
 ): (...arguments_: Arguments) => Promise<Result>;
+
+export type RetryStats = {
+	/**
+	The number of attempts that were made by this call. A resumed `durable` job does not count the attempts made before it was stored.
+	*/
+	readonly attempts: number;
+
+	/**
+	The total time (in milliseconds) spent waiting between attempts.
+	*/
+	readonly totalDelay: number;
+
+	/**
+	The time (in milliseconds) from the start of the first attempt until the call settled.
+	*/
+	readonly elapsed: number;
+
+	/**
+	The errors of the failed attempts, in the order they failed, including the one that made it give up and those of hedged attempts. An `AbortError` is replaced by the error it wraps.
+	*/
+	readonly errors: readonly Error[];
+};
+
+export type ResultWithStats<T> = RetryStats & {
+	/**
+	The value returned by the successful attempt.
+	*/
+	readonly value: T;
+};
+
+/**
+Same as `pRetry`, but resolves to the value together with statistics about the retries.
+
+When it rejects, the statistics are attached to the error as `error.retryStats`, unless the error is not an extensible object.
+
+@example
+```
+import {pRetryWithStats} from 'p-retry';
+
+try {
+	const {value, attempts, totalDelay} = await pRetryWithStats(run, {retries: 5});
+	console.log(`Got ${value} after ${attempts} attempts and ${totalDelay} milliseconds of waiting`);
+} catch (error) {
+	console.log(error.retryStats.attempts);
+}
+```
+*/
+export function pRetryWithStats<T>(
+	input: (attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T,
+	options?: Options
+): Promise<ResultWithStats<T>>;
+
+/**
+Presets of options for common targets. Spread them into the options and override what you need.
+
+- `http`: Retries network errors, timeouts, and the HTTP status codes 408, 429, 500, 502, 503, 504, 521, 522, and 524, up to 5 times. The `Retry-After` header is honored, up to 30 seconds.
+- `database`: Retries connection errors, deadlocks, lock timeouts, and serialization failures of MySQL, PostgreSQL, and SQLite, up to 3 times with short delays.
+- `aggressive`: Retries up to 10 times with short delays, for cheap operations that are expected to recover quickly.
+- `gentle`: Retries up to 3 times with long delays, for expensive operations or overloaded dependencies.
+
+@example
+```
+import pRetry, {policies} from 'p-retry';
+
+await pRetry(run, {
+	...policies.http,
+	retries: 3,
+	retryOn: [...policies.http.retryOn, 404]
+});
+```
+*/
+export const policies: {
+	readonly http: Readonly<Options> & {readonly retryOn: readonly RetryOnMatcher[]};
+	readonly database: Readonly<Options> & {readonly retryOn: readonly RetryOnMatcher[]};
+	readonly aggressive: Readonly<Options>;
+	readonly gentle: Readonly<Options>;
+};
+
+export type RetryAllOptions = Omit<Options, 'key' | 'durable'> & {
+	/**
+	The maximum number of attempts running at the same time, across all the tasks.
+
+	A task waiting for its next attempt does not hold a slot, so other tasks can run in the meantime. The time spent waiting for a slot does not count towards `attemptTimeout`.
+
+	@default Infinity
+	*/
+	readonly concurrency?: number;
+
+	/**
+	Resolve to the outcome of each task, like `Promise.allSettled()`, instead of rejecting when a task fails.
+
+	@default false
+	*/
+	readonly settled?: boolean;
+};
+
+/**
+Retry a batch of tasks, with a limit on how many attempts run at the same time.
+
+The options are passed to `pRetry` for each task, except `key` and `durable`, which are not supported as they would make the tasks share one run or one stored job. The `signal` cancels the whole batch, so `AbortSignal.timeout()` gives the batch a deadline. Unless `settled` is set, the first task to give up rejects the returned promise and aborts the other tasks.
+
+@param tasks - The functions to retry, like the `input` of `pRetry`.
+@returns The results of the tasks, in the order of `tasks`.
+
+@example
+```
+import {pRetryAll} from 'p-retry';
+
+const users = await pRetryAll(ids.map(id => () => fetchUser(id)), {
+	concurrency: 10,
+	retries: 3,
+	signal: AbortSignal.timeout(60_000)
+});
+```
+*/
+export function pRetryAll<T>(
+	tasks: Iterable<(attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T>,
+	options: RetryAllOptions & {readonly settled: true}
+): Promise<Array<PromiseSettledResult<T>>>;
+export function pRetryAll<T>(
+	tasks: Iterable<(attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T>,
+	options?: RetryAllOptions & {readonly settled?: false}
+): Promise<T[]>;
+
+export type RetryInstance = {
+	/**
+	The default options of the instance.
+	*/
+	readonly defaults: Readonly<Options>;
+
+	/**
+	Same as `pRetry`, with the `options` merged onto the defaults of the instance.
+	*/
+	<T>(
+		input: (attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T,
+		options?: Options
+	): Promise<T>;
+
+	/**
+	Same as `makeRetriable`, with the `options` merged onto the defaults of the instance.
+	*/
+	makeRetriable<Arguments extends readonly unknown[], Result>(
+		function_: (...arguments_: Arguments) => PromiseLike<Result> | Result,
+		options?: MakeRetriableOptions<Arguments, Result>
+	): (...arguments_: Arguments) => Promise<Result>;
+
+	/**
+	Create a new instance with the `options` merged onto the defaults of this instance.
+	*/
+	extend(options: Options): RetryInstance;
+};
+
+/**
+Create a `pRetry` function with preconfigured default options.
+
+The options passed to each call are shallowly merged onto the defaults, so a callback passed to a call replaces the default callback. Objects like `circuitBreaker` and `retryBudget` in the defaults are shared by all the calls of the instance and of the instances created with `.extend()`.
+
+@example
+```
+import {createRetry, CircuitBreaker} from 'p-retry';
+
+const retry = createRetry({
+	retries: 5,
+	minTimeout: 500,
+	circuitBreaker: new CircuitBreaker()
+});
+
+const result = await retry(run);
+const fetchWithRetry = retry.makeRetriable(fetch);
+
+// Shares the circuit breaker of `retry`
+const patientRetry = retry.extend({retries: 10, maxTimeout: 30_000});
+```
+*/
+export function createRetry(defaults?: Options): RetryInstance;
+
+export type WaitUntilOptions<T> = Omit<Options, 'retryIf' | 'retries'> & {
+	/**
+	Decide if the value returned by `check` satisfies the condition. Returning `false` polls again.
+
+	@default Boolean
+	*/
+	readonly until?: (value: T, context: ResultContext) => boolean | Promise<boolean>;
+
+	/**
+	The number of milliseconds between two checks. When not set, the delay is calculated by `backoff`.
+	*/
+	readonly interval?: number;
+
+	/**
+	The maximum amount of times to check again.
+
+	@default Infinity
+	*/
+	readonly retries?: number;
+};
+
+/**
+Repeatedly run `check` until the value it returns satisfies `until`.
+
+It's built on `pRetry`, so it accepts the same options. Use `maxRetryTime` as the overall deadline and `signal` to stop polling. Errors thrown by `check` are retried like with `pRetry`.
+
+When giving up, it rejects with a `ResultError` containing the last value, or with the last error.
+
+@param check - Receives the same arguments as the `input` of `pRetry`.
+@returns The first value that satisfies `until`.
+
+@example
+```
+import {waitUntil} from 'p-retry';
+
+const deployment = await waitUntil(() => getDeployment(id), {
+	until: deployment => deployment.state === 'ready',
+	interval: 2000,
+	maxRetryTime: 60_000
+});
+```
+*/
+export function waitUntil<T, Satisfied extends T>(
+	check: (attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T,
+	options: WaitUntilOptions<T> & {readonly until: (value: T, context: ResultContext) => value is Satisfied}
+): Promise<Satisfied>;
+export function waitUntil<T>(
+	check: (attemptNumber: number, context: AttemptContext) => PromiseLike<T> | T,
+	options?: WaitUntilOptions<T>
+): Promise<T>;
+
+export type Attempt = AttemptContext & {
+	/**
+	The number of milliseconds waited before this attempt.
+	*/
+	readonly delay: number;
+
+	/**
+	Mark the attempt as succeeded. Leaving the loop after calling it calls `onSuccess`.
+
+	Leaving the loop without calling it or `fail()`, for example when the loop body throws, counts the attempt as failed without giving up, so that a `durable` job can be resumed.
+	*/
+	succeed(): void;
+
+	/**
+	Mark the attempt as failed with the given error, which is passed to `onFailedAttempt` and `shouldRetry`, and thrown when giving up.
+
+	Continuing the loop without calling it also counts as a failure. Leaving the loop after calling it gives up right away, with the `'non-retryable'` reason.
+	*/
+	fail(error?: unknown): void;
+};
+
+/**
+Retry inline with a `for await` loop instead of wrapping the logic in a function.
+
+Each iteration is an attempt. Call `attempt.succeed()` and leave the loop (for example, with `break`) when the attempt succeeds. Continuing the loop means the attempt failed, and the next iteration starts after the delay. When giving up, the loop throws the last error.
+
+It accepts the same options as `pRetry`, except `retryIf`, `hedge`, `key`, `fallback`, and `fallbackOnAbort`.
+
+@example
+```
+import {retryAttempts} from 'p-retry';
+
+let order;
+
+for await (const attempt of retryAttempts({retries: 5})) {
+	try {
+		const cart = await getCart({signal: attempt.signal});
+		order = await placeOrder(cart, {signal: attempt.signal});
+		attempt.succeed();
+		break;
+	} catch (error) {
+		attempt.fail(error);
+	}
+}
+```
+*/
+export function retryAttempts(options?: Omit<Options, 'retryIf' | 'hedge' | 'key' | 'fallback' | 'fallbackOnAbort'>): AsyncGenerator<Attempt, void, undefined>;
+
+export type RetryFetchOptions = Options & {
+	/**
+	The `fetch` implementation to use.
+
+	@default globalThis.fetch
+	*/
+	readonly fetch?: (input: Request, init: RequestInit) => Promise<Response>;
+
+	/**
+	The HTTP methods that are retried. Requests with other methods are made only once, as retrying them could apply them twice.
+
+	@default ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE']
+	*/
+	readonly retryMethods?: readonly string[];
+};
+
+/**
+Make a request with `fetch` and retry it when it fails with a network error or a retryable HTTP status code.
+
+Responses with a status code outside of the 2xx range reject with an `HTTPError`. The retried errors and the default options are those of `policies.http`, which can be overridden with `options`. The `Retry-After` header of the response is honored. The request body is cloned for every attempt, and the bodies of responses that are retried are discarded.
+
+@param input - The URL or `Request` to fetch.
+@param init - The options of the request, like for `fetch`.
+@param options - The options of `pRetry`, and `fetch` and `retryMethods`.
+@returns The response of the successful attempt.
+
+@example
+```
+import {retryFetch, HTTPError} from 'p-retry';
+
+try {
+	const response = await retryFetch('https://sindresorhus.com/unicorn', {method: 'PUT', body: '🦄'}, {retries: 3});
+	console.log(await response.text());
+} catch (error) {
+	if (error instanceof HTTPError) {
+		console.log(error.status, await error.response.text());
+	}
+}
+```
+*/
+export function retryFetch(input: RequestInfo | URL, init?: RequestInit, options?: RetryFetchOptions): Promise<Response>;
@@ -49,92 +49,1224 @@ export class AbortError extends Error {
 	}
 }
 
+export class RetryError extends AggregateError {
+	constructor(attempts) {
+		const {error, attemptNumber} = attempts.at(-1);
+		super(attempts.map(({error}) => error), `Failed after ${attemptNumber} ${attemptNumber === 1 ? 'attempt' : 'attempts'}: ${error.message}`, {cause: error});
+		this.name = 'RetryError';
+		this.attempts = attempts.map(attempt => Object.freeze({...attempt}));
+	}
+}
+
+export class ResultError extends Error {
+	constructor(result, attemptNumber) {
+		super(`The result of attempt ${attemptNumber} was rejected by \`retryIf\`.`);
+		this.name = 'ResultError';
+		this.result = result;
+	}
+}
+
+export class TimeoutError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = 'TimeoutError';
+	}
+}
+
+export class HTTPError extends Error {
+	constructor(response, request) {
+		super(`Request failed with status code ${response.status}${response.statusText ? ` ${response.statusText}` : ''}: ${request.method} ${request.url}`);
+		this.name = 'HTTPError';
+		this.response = response;
+		this.request = request;
+		this.status = response.status;
+	}
+}
+
+const createSystemClock = ({unref = false} = {}) => ({
+	now: () => Date.now(),
+	random: () => Math.random(),
+	sleep: (milliseconds, signal) => new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(signal.reason);
+			return;
+		}
+
+		const onAbort = () => {
+			clearTimeout(timeoutToken);
+			reject(signal.reason);
+		};
+
+		const timeoutToken = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort);
+			resolve();
+		}, milliseconds);
+
+		if (unref) {
+			timeoutToken.unref?.();
+		}
+
+		signal?.addEventListener('abort', onAbort, {once: true});
+	}),
+});
+
+// Fills in the methods missing from a user-provided clock. The methods are called on the clock so that classes work too.
+function resolveClock(clock, options) {
+	if (clock !== undefined && (typeof clock !== 'object' || clock === null)) {
+		throw new TypeError('Expected `clock` to be an object.');
+	}
+
+	const systemClock = createSystemClock(options);
+
+	return {
+		now: clock?.now ? () => clock.now() : systemClock.now,
+		random: clock?.random ? () => clock.random() : systemClock.random,
+		sleep: clock?.sleep ? (milliseconds, signal) => clock.sleep(milliseconds, signal) : systemClock.sleep,
+	};
+}
+
+export function createTestClock({now = 0, random = () => 0.5} = {}) {
+	let currentTime = now;
+	const timers = [];
+	const sleeps = [];
+
+	// Lets pending promise chains run, so that they can schedule their next sleep
+	const flush = () => new Promise(resolve => {
+		setTimeout(resolve, 0);
+	});
+
+	const runNextTimer = limit => {
+		const [timer] = timers.toSorted((a, b) => a.time - b.time);
+
+		if (timer === undefined || timer.time > limit) {
+			return false;
+		}
+
+		currentTime = Math.max(currentTime, timer.time);
+		timer.resolve();
+		return true;
+	};
+
+	return {
+		sleeps,
+		now: () => currentTime,
+		random,
+		sleep(milliseconds, signal) {
+			sleeps.push(milliseconds);
+
+			return new Promise((resolve, reject) => {
+				if (signal?.aborted) {
+					reject(signal.reason);
+					return;
+				}
+
+				const remove = () => {
+					timers.splice(timers.indexOf(timer), 1);
+					signal?.removeEventListener('abort', onAbort);
+				};
+
+				const onAbort = () => {
+					remove();
+					reject(signal.reason);
+				};
+
+				const timer = {
+					time: currentTime + milliseconds,
+					resolve() {
+						remove();
+						resolve();
+					},
+				};
+
+				timers.push(timer);
+				signal?.addEventListener('abort', onAbort, {once: true});
+			});
+		},
+		async tick(milliseconds) {
+			const target = currentTime + milliseconds;
+
+			await flush();
+
+			while (runNextTimer(target)) {
+				await flush();
+			}
+
+			currentTime = target;
+			await flush();
+		},
+		async runAll() {
+			await flush();
+
+			while (runNextTimer(Number.POSITIVE_INFINITY)) {
+				await flush();
+			}
+		},
+	};
+}
+
+export class CircuitOpenError extends Error {
+	constructor(message = 'The circuit breaker is open.') {
+		super(message);
+		this.name = 'CircuitOpenError';
+	}
+}
+
+export class CircuitBreaker {
+	#failureThreshold;
+	#minimumAttempts;
+	#windowSize;
+	#cooldown;
+	#probeAttempts;
+	#state = 'closed';
+	#outcomes = [];
+	#changedAt = 0;
+	#probesStarted = 0;
+	#probesSucceeded = 0;
+	#clock;
+
+	constructor({
+		failureThreshold = 0.5,
+		minimumAttempts = 10,
+		windowSize = 20,
+		cooldown = 30_000,
+		probeAttempts = 1,
+		clock,
+	} = {}) {
+		validateNumberOption('failureThreshold', failureThreshold, {min: 0});
+		validateNumberOption('minimumAttempts', minimumAttempts, {min: 1});
+		validateNumberOption('windowSize', windowSize, {min: 1});
+		validateNumberOption('cooldown', cooldown, {min: 0});
+		validateNumberOption('probeAttempts', probeAttempts, {min: 1});
+
+		// A threshold of 0 would open the circuit without any failure
+		if (failureThreshold === 0 || failureThreshold > 1) {
+			throw new TypeError('Expected `failureThreshold` to be a rate above 0 and up to 1.');
+		}
+
+		// The window never holds more than `windowSize` attempts, so the circuit could never open
+		if (minimumAttempts > windowSize) {
+			throw new TypeError('Expected `minimumAttempts` to be at most `windowSize`.');
+		}
+
+		this.#failureThreshold = failureThreshold;
+		this.#minimumAttempts = minimumAttempts;
+		this.#windowSize = windowSize;
+		this.#cooldown = cooldown;
+		this.#probeAttempts = probeAttempts;
+		this.#clock = resolveClock(clock);
+	}
+
+	get state() {
+		this.#updateState();
+		return this.#state;
+	}
+
+	allowAttempt() {
+		this.#updateState();
+
+		if (this.#state === 'closed') {
+			return true;
+		}
+
+		if (this.#state === 'half-open' && this.#probesStarted < this.#probeAttempts) {
+			this.#probesStarted++;
+			return true;
+		}
+
+		return false;
+	}
+
+	recordSuccess() {
+		this.#updateState();
+
+		if (this.#state === 'half-open') {
+			this.#probesSucceeded++;
+
+			if (this.#probesSucceeded >= this.#probeAttempts) {
+				this.reset();
+			}
+
+			return;
+		}
+
+		if (this.#state === 'closed') {
+			this.#recordOutcome(false);
+		}
+	}
+
+	recordFailure() {
+		this.#updateState();
+
+		if (this.#state === 'half-open') {
+			this.#transition('open');
+			return;
+		}
+
+		if (this.#state === 'closed') {
+			this.#recordOutcome(true);
+
+			const failures = this.#outcomes.filter(Boolean).length;
+			if (this.#outcomes.length >= this.#minimumAttempts && failures / this.#outcomes.length >= this.#failureThreshold) {
+				this.#transition('open');
+			}
+		}
+	}
+
+	reset() {
+		this.#transition('closed');
+	}
+
+	#recordOutcome(isFailure) {
+		this.#outcomes.push(isFailure);
+
+		if (this.#outcomes.length > this.#windowSize) {
+			this.#outcomes.shift();
+		}
+	}
+
+	#transition(state) {
+		this.#state = state;
+		this.#changedAt = this.#clock.now();
+		this.#outcomes = [];
+		this.#probesStarted = 0;
+		this.#probesSucceeded = 0;
+	}
+
+	#updateState() {
+		// A half-open breaker whose probes never reported back (for example, because they were aborted) starts a new half-open period instead of getting stuck
+		if (this.#state !== 'closed' && this.#clock.now() - this.#changedAt >= this.#cooldown) {
+			this.#transition('half-open');
+		}
+	}
+}
+
+export class RetryBudget {
+	#ratio;
+	#minRetries;
+	#window;
+	#requestTimes = [];
+	#retryTimes = [];
+	#rejected = 0;
+	#clock;
+
+	constructor({
+		ratio = 0.2,
+		minRetries = 10,
+		window = 10_000,
+		clock,
+	} = {}) {
+		validateNumberOption('ratio', ratio, {min: 0});
+		validateNumberOption('minRetries', minRetries, {min: 0});
+		validateNumberOption('window', window, {min: 1});
+
+		this.#ratio = ratio;
+		this.#minRetries = minRetries;
+		this.#window = window;
+		this.#clock = resolveClock(clock);
+	}
+
+	get requests() {
+		this.#prune();
+		return this.#requestTimes.length;
+	}
+
+	get retries() {
+		this.#prune();
+		return this.#retryTimes.length;
+	}
+
+	get available() {
+		this.#prune();
+		const allowed = Math.max(this.#minRetries, Math.floor(this.#ratio * this.#requestTimes.length));
+		return Math.max(allowed - this.#retryTimes.length, 0);
+	}
+
+	get rejected() {
+		return this.#rejected;
+	}
+
+	recordRequest() {
+		this.#requestTimes.push(this.#clock.now());
+	}
+
+	allowRetry() {
+		if (this.available === 0) {
+			this.#rejected++;
+			return false;
+		}
+
+		this.#retryTimes.push(this.#clock.now());
+		return true;
+	}
+
+	#prune() {
+		const cutoff = this.#clock.now() - this.#window;
+
+		for (const times of [this.#requestTimes, this.#retryTimes]) {
+			while (times.length > 0 && times[0] <= cutoff) {
+				times.shift();
+			}
+		}
+	}
+}
+
+export class CooldownRegistry {
+	#cooldowns = new Map();
+	#clock;
+
+	constructor({clock} = {}) {
+		this.#clock = resolveClock(clock);
+	}
+
+	get(scope) {
+		const until = this.#cooldowns.get(scope);
+
+		if (until !== undefined && until <= this.#clock.now()) {
+			this.#cooldowns.delete(scope);
+			return undefined;
+		}
+
+		return until;
+	}
+
+	set(scope, until) {
+		if (until instanceof Date) {
+			until = until.getTime();
+		}
+
+		validateNumberOption('until', until, {min: Number.NEGATIVE_INFINITY});
+
+		// A shorter cooldown does not end a longer one that is already in effect
+		if (until > (this.get(scope) ?? Number.NEGATIVE_INFINITY)) {
+			this.#cooldowns.set(scope, until);
+		}
+	}
+
+	delete(scope) {
+		this.#cooldowns.delete(scope);
+	}
+}
+
+export class MemoryRetryStore {
+	#records = new Map();
+
+	async get(key) {
+		const record = this.#records.get(key);
+		return record === undefined ? undefined : structuredClone(record);
+	}
+
+	async set(key, record) {
+		this.#records.set(key, structuredClone(record));
+	}
+
+	async delete(key) {
+		this.#records.delete(key);
+	}
+}
+
+export class FileRetryStore {
+	#path;
+	#queue = Promise.resolve();
+
+	constructor(path) {
+		if (typeof path !== 'string') {
+			throw new TypeError('Expected `path` to be a string.');
+		}
+
+		this.#path = path;
+	}
+
+	async get(key) {
+		await this.#queue;
+		const records = await this.#read();
+		return Object.hasOwn(records, key) ? records[key] : undefined;
+	}
+
+	async set(key, record) {
+		return this.#update(records => {
+			records[key] = record;
+		});
+	}
+
+	async delete(key) {
+		return this.#update(records => {
+			delete records[key];
+		});
+	}
+
+	async #read() {
+		// Imported when used, so that the package still works where there is no file system
+		const {readFile} = await import('node:fs/promises');
+
+		try {
+			return JSON.parse(await readFile(this.#path, 'utf8'));
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return {};
+			}
+
+			throw error;
+		}
+	}
+
+	// Updates are queued so that concurrent updates do not overwrite each other
+	async #update(change) {
+		const previousUpdate = this.#queue;
+		let finishUpdate;
+		this.#queue = new Promise(resolve => {
+			finishUpdate = resolve;
+		});
+
+		try {
+			await previousUpdate;
+
+			const {writeFile, rename} = await import('node:fs/promises');
+			const records = await this.#read();
+			change(records);
+
+			// Written to a temporary file first, so that a crash cannot leave a partial file behind
+			const temporaryPath = `${this.#path}.${Math.random().toString(36).slice(2)}.tmp`;
+			await writeFile(temporaryPath, JSON.stringify(records));
+			await rename(temporaryPath, this.#path);
+		} finally {
+			finishUpdate();
+		}
+	}
+}
+
 const createRetryContext = (error, attemptNumber, options) => {
 	// Minus 1 from attemptNumber because the first attempt does not count as a retry
 	const retriesLeft = options.retries - (attemptNumber - 1);
 
-	return Object.freeze({
-		error,
+	return Object.freeze({
+		error,
+		attemptNumber,
+		retriesLeft,
+	});
+};
+
+const fibonacci = number => {
+	let [previous, current] = [0, 1];
+
+	for (let index = 1; index < number; index++) {
+		[previous, current] = [current, previous + current];
+	}
+
+	return current;
+};
+
+const exponentialDelay = (attemptNumber, options) => Math.max(options.minTimeout, 1) * (options.factor ** (attemptNumber - 1));
+
+const randomBetween = (minimum, maximum, options) => minimum + (options.clock.random() * (maximum - minimum));
+
+const backoffStrategies = {
+	exponential: ({attemptNumber}, options) => exponentialDelay(attemptNumber, options),
+	linear: ({attemptNumber}, options) => Math.max(options.minTimeout, 1) * attemptNumber,
+	constant: (_, options) => Math.max(options.minTimeout, 1),
+	fibonacci: ({attemptNumber}, options) => Math.max(options.minTimeout, 1) * fibonacci(attemptNumber),
+	'full-jitter': ({attemptNumber}, options) => randomBetween(0, Math.min(exponentialDelay(attemptNumber, options), options.maxTimeout), options),
+	'equal-jitter'({attemptNumber}, options) {
+		const ceiling = Math.min(exponentialDelay(attemptNumber, options), options.maxTimeout);
+		return randomBetween(ceiling / 2, ceiling, options);
+	},
+	'decorrelated-jitter'({previousDelay}, options) {
+		const base = Math.max(options.minTimeout, 1);
+		return randomBetween(base, Math.max(base, (previousDelay ?? base) * 3), options);
+	},
+};
+
+// These strategies are already randomized, so `randomize` is not applied on top of them.
+const jitteredBackoffs = new Set(['full-jitter', 'equal-jitter', 'decorrelated-jitter']);
+
+function validateBackoff(backoff) {
+	if (typeof backoff === 'function' || Object.hasOwn(backoffStrategies, backoff)) {
+		return;
+	}
+
+	const names = Object.keys(backoffStrategies).map(name => `\`${name}\``).join(', ');
+	throw new TypeError(`Expected \`backoff\` to be a function or one of ${names}, got \`${backoff}\`.`);
+}
+
+function calculateDelay(context, options) {
+	let timeout;
+
+	if (typeof options.backoff === 'function') {
+		timeout = options.backoff(context);
+		validateNumberOption('backoff() return value', timeout, {min: 0, allowInfinity: true});
+	} else {
+		const random = options.randomize && !jitteredBackoffs.has(options.backoff) ? (options.clock.random() + 1) : 1;
+		timeout = random * backoffStrategies[options.backoff](context, options);
+	}
+
+	return Math.min(Math.round(timeout), options.maxTimeout);
+}
+
+function getHeader(headers, name) {
+	if (typeof headers?.get === 'function') {
+		return headers.get(name) ?? undefined;
+	}
+
+	if (typeof headers === 'object' && headers !== null) {
+		const key = Object.keys(headers).find(key => key.toLowerCase() === name);
+		return key === undefined ? undefined : headers[key];
+	}
+}
+
+function parseRetryAfter(value, clock) {
+	if (typeof value !== 'string') {
+		return;
+	}
+
+	// Either a number of seconds or an HTTP date
+	if (/^\s*\d+\s*$/.test(value)) {
+		return Number(value) * 1000;
+	}
+
+	const date = Date.parse(value);
+	if (!Number.isNaN(date)) {
+		return Math.max(date - clock.now(), 0);
+	}
+}
+
+function getRetryDelayFromError(error, clock) {
+	if (typeof error.retryAfter === 'number') {
+		return error.retryAfter;
+	}
+
+	if (error.retryAfter instanceof Date) {
+		return Math.max(error.retryAfter.getTime() - clock.now(), 0);
+	}
+
+	return parseRetryAfter(getHeader(error.response?.headers ?? error.headers, 'retry-after'), clock);
+}
+
+async function getRetryDelay(context, options) {
+	const delay = (await options.getRetryDelay?.(context)) ?? getRetryDelayFromError(context.error, options.clock);
+	validateNumberOption('retry delay', delay, {min: 0, allowInfinity: true});
+	return delay;
+}
+
+const isErrorClass = value => value === Error || value.prototype instanceof Error;
+
+const getErrorCode = error => error.code ?? error.cause?.code;
+
+const getErrorStatus = error => error.status ?? error.statusCode ?? error.response?.status;
+
+function validateRetryOn(retryOn) {
+	if (retryOn === undefined) {
+		return;
+	}
+
+	if (!Array.isArray(retryOn) || !retryOn.every(matcher => ['string', 'number', 'function'].includes(typeof matcher))) {
+		throw new TypeError('Expected `retryOn` to be an array of error classes, error codes, HTTP status codes, or functions.');
+	}
+}
+
+function matchesRetryOn(error, retryOn) {
+	return retryOn.some(matcher => {
+		if (typeof matcher === 'string') {
+			return getErrorCode(error) === matcher;
+		}
+
+		if (typeof matcher === 'number') {
+			return getErrorStatus(error) === matcher;
+		}
+
+		return isErrorClass(matcher) ? error instanceof matcher : matcher(error);
+	});
+}
+
+function isRetryableError(error, options) {
+	// A rejected result is always retryable as the user explicitly asked for it
+	if (error instanceof ResultError) {
+		return true;
+	}
+
+	return options.retryOn === undefined
+		? !(error instanceof TypeError) || isNetworkError(error)
+		: matchesRetryOn(error, options.retryOn);
+}
+
+// The status codes of OpenTelemetry spans
+const spanStatusCode = {ok: 1, error: 2};
+
+const getErrorMessage = error => error instanceof Error ? error.message : String(error);
+
+function endSpan(span, {isFailed, error}) {
+	if (span === undefined) {
+		return;
+	}
+
+	if (isFailed) {
+		span.recordException(error instanceof Error ? error : getErrorMessage(error));
+		span.setStatus({code: spanStatusCode.error, message: getErrorMessage(error)});
+	} else {
+		span.setStatus({code: spanStatusCode.ok});
+	}
+
+	span.end();
+}
+
+// Counts the attempt and starts its span
+function trackAttempt(state, options) {
+	incrementMetric('retry.attempts', {}, options);
+
+	return options.tracer?.startSpan('retry.attempt', {
+		attributes: {'retry.attempt_number': state.attemptNumber},
+		parent: state.span,
+	});
+}
+
+// Ends the span of the whole call. Only the first call counts, as a hook can still throw after the call succeeded or gave up.
+function endRetrySpan(state, outcome) {
+	const {span} = state;
+	state.span = undefined;
+
+	span?.setAttribute('retry.attempts', state.attemptNumber);
+	endSpan(span, outcome);
+}
+
+function incrementMetric(name, tags, options) {
+	options.metrics?.increment(name, options.operation === undefined ? tags : {operation: options.operation, ...tags});
+}
+
+function recordMetric(name, value, tags, options) {
+	options.metrics?.record(name, value, options.operation === undefined ? tags : {operation: options.operation, ...tags});
+}
+
+async function succeed(state, options) {
+	const elapsed = options.clock.now() - state.startTime;
+
+	await options.durable?.store.delete(options.durable.key);
+
+	endRetrySpan(state, {isFailed: false});
+	incrementMetric('retry.successes', {retried: state.attemptNumber > 1}, options);
+	recordMetric('retry.elapsed', elapsed, {outcome: 'success'}, options);
+
+	await options.onSuccess(Object.freeze({
+		attemptNumber: state.attemptNumber,
+		elapsed,
+	}));
+}
+
+// Reasons for which the error of the attempt is not wrapped in a `RetryError`
+const unwrappedGiveUpReasons = new Set(['aborted', 'circuit-open']);
+
+// Calls `onGiveUp` and returns the error to reject with
+async function giveUp(error, reason, state, options) {
+	const finalError = options.aggregateErrors && !unwrappedGiveUpReasons.has(reason) && state.attempts.length > 0 ? new RetryError(state.attempts) : error;
+	const elapsed = options.clock.now() - state.startTime;
+
+	// An aborted job is resumed by the next run
+	if (reason !== 'aborted') {
+		await options.durable?.store.delete(options.durable.key);
+	}
+
+	state.span?.setAttribute('retry.give_up_reason', reason);
+	incrementMetric('retry.give_ups', {reason}, options);
+	recordMetric('retry.elapsed', elapsed, {outcome: 'give-up'}, options);
+
+	const context = Object.freeze({
+		error: finalError,
+		reason,
+		attemptNumber: state.attemptNumber,
+		elapsed,
+	});
+
+	// Kept so that the call can still fall back to `fallback` after rejecting with the error
+	state.giveUpContext = context;
+
+	await options.onGiveUp(context);
+
+	return finalError;
+}
+
+// Only giving up falls back, not an error thrown by a hook
+const shouldFallBack = (error, state, options) =>
+	options.fallback !== undefined
+	&& state.giveUpContext?.error === error
+	&& (state.giveUpContext.reason !== 'aborted' || options.fallbackOnAbort);
+
+const createFallbackContext = state => Object.freeze({
+	...state.giveUpContext,
+	attempts: Object.freeze(state.attempts.map(attempt => Object.freeze({...attempt}))),
+});
+
+async function throwIfAborted(state, options) {
+	if (options.signal?.aborted) {
+		throw await giveUp(options.signal.reason, 'aborted', state, options);
+	}
+}
+
+const getCooldownDelay = options => Math.max((options.cooldown.registry.get(options.cooldown.scope) ?? 0) - options.clock.now(), 0);
+
+// Waits for a cooldown that another call started, or gives up right away when it outlasts `maxRetryTime`
+async function waitForCooldown(state, options) {
+	const cooldownDelay = getCooldownDelay(options);
+
+	if (cooldownDelay > 0 && cooldownDelay >= state.maxRetryTime - (options.clock.now() - state.startTime)) {
+		const error = state.previousError ?? new TimeoutError(`The retry time of ${state.maxRetryTime} milliseconds was exceeded.`);
+		throw await giveUp(error, 'max-retry-time', state, options);
+	}
+
+	await sleepBeforeAttempt(cooldownDelay, state, options);
+}
+
+async function sleepBeforeAttempt(delay, state, options) {
+	if (delay > 0) {
+		try {
+			await options.clock.sleep(delay, options.signal);
+		} catch (error) {
+			// Aborting is handled right after the delay
+			if (!options.signal?.aborted) {
+				throw error;
+			}
+		}
+	}
+
+	await throwIfAborted(state, options);
+}
+
+const serializeError = error => ({
+	name: error.name,
+	message: error.message,
+	...(error.code === undefined ? {} : {code: error.code}),
+});
+
+function deserializeError({name, message, code}) {
+	const error = new Error(message);
+	error.name = name;
+
+	if (code !== undefined) {
+		error.code = code;
+	}
+
+	return error;
+}
+
+// Continues from the attempt and the delay stored by a previous run of the same job
+async function restoreDurableState(state, options) {
+	const record = await options.durable.store.get(options.durable.key);
+
+	if (record === undefined) {
+		return;
+	}
+
+	state.attemptNumber = record.attemptNumber;
+	state.startTime = record.startTime;
+	state.previousDelay = record.delay;
+	state.previousError = deserializeError(record.error);
+
+	// The job was stored by a call that allowed more retries, or more time
+	if (state.attemptNumber >= options.retries + 1) {
+		throw await giveUp(state.previousError, 'retries-exhausted', state, options);
+	}
+
+	if (options.clock.now() - state.startTime >= state.maxRetryTime) {
+		throw await giveUp(state.previousError, 'max-retry-time', state, options);
+	}
+
+	await sleepBeforeAttempt(record.nextRunTime - options.clock.now(), state, options);
+}
+
+// The error of a failed attempt, like in the `attempts` of a `RetryError`
+function normalizeAttemptError(error) {
+	if (error instanceof AbortError) {
+		return error.originalError;
+	}
+
+	return error instanceof Error ? error : new TypeError(`Non-error was thrown: "${error}". You should only throw errors.`);
+}
+
+async function onAttemptFailure(error, state, options) {
+	const {attemptNumber, startTime, maxRetryTime} = state;
+
+	let normalizedError = error;
+
+	if (!(normalizedError instanceof Error)) {
+		normalizedError = new TypeError(`Non-error was thrown: "${normalizedError}". You should only throw errors.`);
+	}
+
+	const attempt = {
+		error: normalizedError instanceof AbortError ? normalizedError.originalError : normalizedError,
+		attemptNumber,
+		timestamp: options.clock.now(),
+		delay: 0,
+	};
+
+	state.attempts?.push(attempt);
+
+	if (normalizedError instanceof AbortError) {
+		throw await giveUp(normalizedError.originalError, 'non-retryable', state, options);
+	}
+
+	if (!isRetryableError(normalizedError, options)) {
+		throw await giveUp(normalizedError, 'non-retryable', state, options);
+	}
+
+	state.previousError = normalizedError;
+
+	const context = createRetryContext(normalizedError, attemptNumber, options);
+
+	// Always call onFailedAttempt
+	await options.onFailedAttempt(context);
+
+	const currentTime = options.clock.now();
+
+	// Do not retry, throw the original error
+	if (currentTime - startTime >= maxRetryTime) {
+		throw await giveUp(normalizedError, 'max-retry-time', state, options);
+	}
+
+	if (attemptNumber >= options.retries + 1) {
+		throw await giveUp(normalizedError, 'retries-exhausted', state, options);
+	}
+
+	if (!(await options.shouldRetry(context))) {
+		throw await giveUp(normalizedError, 'should-retry', state, options);
+	}
+
+	// Calculate delay before next attempt, preferring the delay requested by the error or `getRetryDelay`
+	const retryDelay = await getRetryDelay(context, options);
+	let delayTime = retryDelay === undefined
+		? calculateDelay(Object.freeze({...context, previousDelay: state.previousDelay}), options)
+		: Math.min(Math.round(retryDelay), options.maxTimeout);
+
+	if (options.cooldown) {
+		// The delay requested by the error applies to every call in the scope
+		if (Number.isFinite(retryDelay)) {
+			options.cooldown.registry.set(options.cooldown.scope, currentTime + retryDelay);
+		}
+
+		delayTime = Math.max(delayTime, getCooldownDelay(options));
+	}
+
+	// Ensure that delay does not exceed maxRetryTime
+	const timeLeft = maxRetryTime - (currentTime - startTime);
+	if (timeLeft <= 0) {
+		throw await giveUp(normalizedError, 'max-retry-time', state, options);
+	}
+
+	if (options.retryBudget?.allowRetry() === false) {
+		throw await giveUp(normalizedError, 'retry-budget', state, options);
+	}
+
+	const finalDelay = Math.min(delayTime, timeLeft);
+	state.previousDelay = finalDelay;
+	attempt.delay = finalDelay;
+
+	await options.durable?.store.set(options.durable.key, {
 		attemptNumber,
-		retriesLeft,
+		startTime,
+		nextRunTime: options.clock.now() + finalDelay,
+		delay: finalDelay,
+		error: serializeError(normalizedError),
 	});
-};
 
-function calculateDelay(attempt, options) {
-	const random = options.randomize ? (Math.random() + 1) : 1;
+	state.span?.addEvent('retry', {
+		'retry.attempt_number': attemptNumber,
+		'retry.delay': finalDelay,
+		'retry.error': normalizedError.message,
+	});
+	incrementMetric('retry.retries', {}, options);
+	recordMetric('retry.delay', finalDelay, {}, options);
 
-	let timeout = Math.round(random * Math.max(options.minTimeout, 1) * (options.factor ** (attempt - 1)));
-	timeout = Math.min(timeout, options.maxTimeout);
+	await options.onRetry(Object.freeze({
+		...context,
+		delay: finalDelay,
+		nextAttemptNumber: attemptNumber + 1,
+	}));
 
-	return timeout;
+	await sleepBeforeAttempt(finalDelay, state, options);
 }
 
-async function onAttemptFailure(error, attemptNumber, options, startTime, maxRetryTime) {
-	let normalizedError = error;
+// Each attempt gets its own signal so that it can be aborted without affecting the user signal
+function createAttemptSignal(state, options, onAttemptTimeout, hedgeSignal) {
+	const {attemptNumber, startTime, maxRetryTime} = state;
+	const elapsed = options.clock.now() - startTime;
 
-	if (!(normalizedError instanceof Error)) {
-		normalizedError = new TypeError(`Non-error was thrown: "${normalizedError}". You should only throw errors.`);
-	}
+	const controller = new AbortController();
+	const onAbort = () => {
+		controller.abort(options.signal.reason);
+	};
 
-	if (normalizedError instanceof AbortError) {
-		throw normalizedError.originalError;
+	const onHedgeAbort = () => {
+		controller.abort(hedgeSignal.reason);
+	};
+
+	options.signal?.addEventListener('abort', onAbort, {once: true});
+	hedgeSignal?.addEventListener('abort', onHedgeAbort, {once: true});
+
+	const timers = new AbortController();
+	const startTimer = async (callback, delay) => {
+		try {
+			await options.clock.sleep(delay, timers.signal);
+		} catch {
+			return; // The attempt settled before the timer fired
+		}
+
+		callback();
+	};
+
+	if (Number.isFinite(maxRetryTime)) {
+		startTimer(() => {
+			controller.abort(new TimeoutError(`The retry time of ${maxRetryTime} milliseconds was exceeded.`));
+		}, Math.max(maxRetryTime - elapsed, 0));
 	}
 
-	if (normalizedError instanceof TypeError && !isNetworkError(normalizedError)) {
-		throw normalizedError;
+	if (Number.isFinite(options.attemptTimeout)) {
+		startTimer(() => {
+			const error = new TimeoutError(`Attempt ${attemptNumber} timed out after ${options.attemptTimeout} milliseconds.`);
+			controller.abort(error);
+			onAttemptTimeout?.(error);
+		}, options.attemptTimeout);
 	}
 
-	const context = createRetryContext(normalizedError, attemptNumber, options);
+	return {
+		signal: controller.signal,
+		dispose() {
+			timers.abort();
 
-	// Always call onFailedAttempt
-	await options.onFailedAttempt(context);
+			options.signal?.removeEventListener('abort', onAbort);
+			hedgeSignal?.removeEventListener('abort', onHedgeAbort);
+		},
+	};
+}
 
-	const currentTime = Date.now();
-	if (
-		currentTime - startTime >= maxRetryTime
-		|| attemptNumber >= options.retries + 1
-		|| !(await options.shouldRetry(context))
-	) {
-		throw normalizedError; // Do not retry, throw the original error
+const createAttemptContext = (state, options, signal) => ({
+	attemptNumber: state.attemptNumber,
+	retriesLeft: options.retries - (state.attemptNumber - 1),
+	previousError: state.previousError,
+	elapsed: options.clock.now() - state.startTime,
+	signal,
+});
+
+async function runAttempt(input, state, options, hedgeSignal) {
+	const limiter = options[limiterKey];
+	let release;
+
+	if (limiter) {
+		// Hedging can start another attempt while this one waits for a slot
+		state = {...state};
+
+		// Waiting for a slot does not count towards the timeouts of the attempt
+		release = await limiter.acquire(options.signal);
+
+		if (hedgeSignal?.aborted) {
+			release();
+			throw hedgeSignal.reason;
+		}
 	}
 
-	// Calculate delay before next attempt
-	const delayTime = calculateDelay(attemptNumber, options);
+	let rejectTimeout;
+	const timeout = new Promise((resolve, reject) => {
+		rejectTimeout = reject;
+	});
 
-	// Ensure that delay does not exceed maxRetryTime
-	const timeLeft = maxRetryTime - (currentTime - startTime);
-	if (timeLeft <= 0) {
-		throw normalizedError; // Max retry time exceeded
+	const {signal, dispose} = createAttemptSignal(state, options, rejectTimeout, hedgeSignal);
+	const span = trackAttempt(state, options);
+
+	try {
+		const attempt = input(state.attemptNumber, Object.freeze(createAttemptContext(state, options, signal)));
+
+		const result = Number.isFinite(options.attemptTimeout)
+			? await Promise.race([attempt, timeout])
+			: await attempt;
+
+		endSpan(span, {isFailed: false});
+
+		return result;
+	} catch (error) {
+		endSpan(span, {isFailed: true, error});
+
+		// An attempt stopped by the signal, or by losing a hedged round, did not fail by itself
+		if (!options.signal?.aborted && !hedgeSignal?.aborted) {
+			options[attemptFailureKey]?.(error);
+		}
+
+		throw error;
+	} finally {
+		dispose();
+		release?.();
 	}
+}
 
-	const finalDelay = Math.min(delayTime, timeLeft);
+// Passes the limiter of `pRetryAll()` to the attempts without making it an option
+const limiterKey = Symbol('limiter');
+
+// Lets `pRetryWithStats()` observe the failure of each attempt without making it an option
+const attemptFailureKey = Symbol('attempt failure');
+
+function createLimiter(concurrency) {
+	let active = 0;
+	const waiting = [];
 
-	// Introduce delay
-	if (finalDelay > 0) {
-		await new Promise((resolve, reject) => {
-			const onAbort = () => {
-				clearTimeout(timeoutToken);
-				options.signal?.removeEventListener('abort', onAbort);
-				reject(options.signal.reason);
-			};
+	const release = () => {
+		active--;
 
-			const timeoutToken = setTimeout(() => {
-				options.signal?.removeEventListener('abort', onAbort);
-				resolve();
-			}, finalDelay);
+		if (waiting.length > 0) {
+			active++;
+			waiting.shift().resolve();
+		}
+	};
 
-			if (options.unref) {
-				timeoutToken.unref?.();
+	return {
+		async acquire(signal) {
+			signal?.throwIfAborted();
+
+			if (active < concurrency) {
+				active++;
+				return release;
 			}
 
-			options.signal?.addEventListener('abort', onAbort, {once: true});
-		});
+			await new Promise((resolve, reject) => {
+				const onAbort = () => {
+					waiting.splice(waiting.indexOf(waiter), 1);
+					reject(signal.reason);
+				};
+
+				const waiter = {
+					resolve() {
+						signal?.removeEventListener('abort', onAbort);
+						resolve();
+					},
+				};
+
+				waiting.push(waiter);
+				signal?.addEventListener('abort', onAbort, {once: true});
+			});
+
+			return release;
+		},
+	};
+}
+
+// Starts another attempt whenever the attempts in flight have not settled after `hedge.delay`. The first success wins and aborts the others. The round only fails once every attempt in it failed, or one of them failed with an error that is not retried.
+function runHedgedAttempts(input, state, options) {
+	const {delay, maxInFlight} = options.hedge;
+	const round = new AbortController();
+
+	return new Promise((resolve, reject) => {
+		let inFlight = 0;
+		let isTimerPending = false;
+
+		const settle = (callback, value) => {
+			round.abort();
+			callback(value);
+		};
+
+		const scheduleHedge = async () => {
+			if (isTimerPending || state.attemptNumber >= options.retries + 1) {
+				return;
+			}
+
+			isTimerPending = true;
+
+			try {
+				await options.clock.sleep(delay, round.signal);
+			} catch {
+				return; // The round settled before the timer fired
+			} finally {
+				isTimerPending = false;
+			}
+
+			if (inFlight < maxInFlight) {
+				state.attemptNumber++;
+				startAttempt();
+			}
+		};
+
+		const startAttempt = async () => {
+			inFlight++;
+			scheduleHedge();
+
+			try {
+				const result = await runAttempt(input, state, options, round.signal);
+
+				if (!round.signal.aborted) {
+					settle(resolve, result);
+				}
+			} catch (error) {
+				inFlight--;
+
+				if (round.signal.aborted) {
+					return;
+				}
+
+				let isRoundFailed;
+
+				try {
+					isRoundFailed = inFlight === 0 || error instanceof AbortError || !isRetryableError(error, options);
+				} catch (retryOnError) {
+					// Nothing awaits the attempts of the round, so an error from `retryOn` has to end it
+					settle(reject, retryOnError);
+					return;
+				}
+
+				if (isRoundFailed) {
+					settle(reject, error);
+					return;
+				}
+
+				scheduleHedge();
+			}
+		};
+
+		startAttempt();
+	});
+}
+
+function validateHedge(hedge) {
+	if (hedge === undefined) {
+		return;
+	}
+
+	if (typeof hedge !== 'object' || hedge === null) {
+		throw new TypeError('Expected `hedge` to be an object.');
+	}
+
+	if (hedge.delay === undefined) {
+		throw new TypeError('Expected `hedge.delay` to be a number.');
 	}
 
-	options.signal?.throwIfAborted();
+	validateNumberOption('hedge.delay', hedge.delay, {min: 0});
+
+	if (hedge.maxInFlight !== undefined && (!Number.isInteger(hedge.maxInFlight) || hedge.maxInFlight < 1)) {
+		throw new TypeError('Expected `hedge.maxInFlight` to be a positive integer.');
+	}
 }
 
-export default async function pRetry(input, options = {}) {
+function validateDurable(durable) {
+	if (durable === undefined) {
+		return;
+	}
+
+	if (typeof durable?.key !== 'string' || !['get', 'set', 'delete'].every(method => typeof durable.store?.[method] === 'function')) {
+		throw new TypeError('Expected `durable` to be an object with a `store` and a string `key`.');
+	}
+}
+
+function validateCooldown(cooldown) {
+	if (cooldown === undefined) {
+		return;
+	}
+
+	if (typeof cooldown?.registry?.get !== 'function' || typeof cooldown.registry.set !== 'function' || cooldown.scope === undefined) {
+		throw new TypeError('Expected `cooldown` to be an object with a `registry` and a `scope`.');
+	}
+}
+
+function validateObservers({tracer, metrics}) {
+	if (tracer !== undefined && typeof tracer?.startSpan !== 'function') {
+		throw new TypeError('Expected `tracer` to have a `startSpan` method.');
+	}
+
+	if (metrics !== undefined && (typeof metrics?.increment !== 'function' || typeof metrics.record !== 'function')) {
+		throw new TypeError('Expected `metrics` to have `increment` and `record` methods.');
+	}
+}
+
+function normalizeOptions(options) {
 	options = {...options};
 
 	validateRetries(options.retries);
@@ -147,52 +1279,546 @@ export default async function pRetry(input, options = {}) {
 	options.factor ??= 2;
 	options.minTimeout ??= 1000;
 	options.maxTimeout ??= Number.POSITIVE_INFINITY;
+	options.maxRetryTime ??= Number.POSITIVE_INFINITY;
 	options.randomize ??= false;
+	options.backoff ??= 'exponential';
 	options.onFailedAttempt ??= () => {};
 	options.shouldRetry ??= () => true;
+	options.onRetry ??= () => {};
+	options.onSuccess ??= () => {};
+	options.onGiveUp ??= () => {};
+	options.retryIf ??= () => false;
 
 	// Validate numeric options and normalize edge cases
 	validateNumberOption('factor', options.factor, {min: 0, allowInfinity: false});
 	validateNumberOption('minTimeout', options.minTimeout, {min: 0, allowInfinity: false});
 	validateNumberOption('maxTimeout', options.maxTimeout, {min: 0, allowInfinity: true});
-	const resolvedMaxRetryTime = options.maxRetryTime ?? Number.POSITIVE_INFINITY;
-	validateNumberOption('maxRetryTime', resolvedMaxRetryTime, {min: 0, allowInfinity: true});
+	validateNumberOption('maxRetryTime', options.maxRetryTime, {min: 0, allowInfinity: true});
+	validateNumberOption('attemptTimeout', options.attemptTimeout, {min: 0, allowInfinity: true});
+	validateBackoff(options.backoff);
+	validateRetryOn(options.retryOn);
+	validateHedge(options.hedge);
+
+	validateObservers(options);
+	validateDurable(options.durable);
+	validateCooldown(options.cooldown);
+
+	if (options.fallback !== undefined && typeof options.fallback !== 'function') {
+		throw new TypeError('Expected `fallback` to be a function.');
+	}
+
+	options.hedge &&= {maxInFlight: 2, ...options.hedge};
+
+	options.clock = resolveClock(options.clock, options);
 
 	// Treat non-positive factor as 1 to avoid zero backoff or negative behavior
 	if (!(options.factor > 0)) {
 		options.factor = 1;
 	}
 
-	options.signal?.throwIfAborted();
+	return options;
+}
 
-	let attemptNumber = 0;
-	const startTime = Date.now();
+const createState = options => ({
+	attemptNumber: 0,
+	startTime: options.clock.now(),
+	maxRetryTime: options.maxRetryTime,
+	previousDelay: undefined,
+	previousError: undefined,
+	// Only kept when needed, as it grows with every attempt
+	attempts: options.aggregateErrors || options.fallback ? [] : undefined,
+	span: options.tracer?.startSpan('retry', {attributes: {'retry.max_retries': options.retries}}),
+});
 
-	// Use validated local value
-	const maxRetryTime = resolvedMaxRetryTime;
+const networkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
 
-	while (attemptNumber < options.retries + 1) {
-		attemptNumber++;
+export const policies = Object.freeze({
+	http: Object.freeze({
+		retries: 5,
+		maxTimeout: 30_000,
+		backoff: 'equal-jitter',
+		retryOn: Object.freeze([
+			isNetworkError,
+			TimeoutError,
+			...networkErrorCodes,
+			'UND_ERR_SOCKET',
+			408,
+			429,
+			500,
+			502,
+			503,
+			504,
+			521,
+			522,
+			524,
+		]),
+	}),
+	database: Object.freeze({
+		retries: 3,
+		minTimeout: 100,
+		maxTimeout: 2000,
+		backoff: 'full-jitter',
+		retryOn: Object.freeze([
+			TimeoutError,
+			...networkErrorCodes,
+			// MySQL
+			'PROTOCOL_CONNECTION_LOST',
+			'ER_LOCK_DEADLOCK',
+			'ER_LOCK_WAIT_TIMEOUT',
+			// PostgreSQL
+			'40001', // Serialization failure
+			'40P01', // Deadlock detected
+			'57P01', // Admin shutdown
+			'08000', // Connection exception
+			'08003', // Connection does not exist
+			'08006', // Connection failure
+			// SQLite
+			'SQLITE_BUSY',
+		]),
+	}),
+	aggressive: Object.freeze({
+		retries: 10,
+		minTimeout: 100,
+		factor: 1.5,
+		maxTimeout: 2000,
+		backoff: 'full-jitter',
+	}),
+	gentle: Object.freeze({
+		retries: 3,
+		minTimeout: 2000,
+		factor: 3,
+		maxTimeout: 60_000,
+		backoff: 'equal-jitter',
+	}),
+});
 
-		try {
-			options.signal?.throwIfAborted();
+async function runRetries(input, options) {
+	options = normalizeOptions(options);
+
+	options.retryBudget?.recordRequest();
+
+	const state = createState(options);
+
+	try {
+		if (options.durable) {
+			await restoreDurableState(state, options);
+		}
 
-			const result = await input(attemptNumber);
+		while (state.attemptNumber < options.retries + 1) {
+			await throwIfAborted(state, options);
 
-			options.signal?.throwIfAborted();
+			if (options.cooldown) {
+				await waitForCooldown(state, options);
+			}
+
+			state.attemptNumber++;
+
+			if (options.circuitBreaker?.allowAttempt() === false) {
+				throw await giveUp(new CircuitOpenError(), 'circuit-open', state, options);
+			}
+
+			let result;
+
+			try {
+				result = await (options.hedge ? runHedgedAttempts(input, state, options) : runAttempt(input, state, options));
+			} catch (error) {
+				// The failure was caused by aborting, so there is nothing to retry
+				await throwIfAborted(state, options);
+
+				options.circuitBreaker?.recordFailure();
+
+				await onAttemptFailure(error, state, options);
+				continue;
+			}
+
+			options.circuitBreaker?.recordSuccess();
+			await throwIfAborted(state, options);
+
+			const resultContext = Object.freeze({
+				attemptNumber: state.attemptNumber,
+				retriesLeft: options.retries - (state.attemptNumber - 1),
+			});
+
+			if (await options.retryIf(result, resultContext)) {
+				const error = new ResultError(result, state.attemptNumber);
+				options[attemptFailureKey]?.(error);
+
+				await onAttemptFailure(error, state, options);
+				continue;
+			}
+
+			await succeed(state, options);
 
 			return result;
-		} catch (error) {
-			await onAttemptFailure(error, attemptNumber, options, startTime, maxRetryTime);
+		}
+
+		// Should not reach here, but in case it does, throw an error
+		throw new Error('Retry attempts exhausted without throwing an error.');
+	} catch (error) {
+		endRetrySpan(state, {isFailed: true, error});
+
+		if (shouldFallBack(error, state, options)) {
+			return options.fallback(createFallbackContext(state));
+		}
+
+		throw error;
+	}
+}
+
+// The retries in progress for each `key`, so that concurrent calls with the same key can share them
+const inFlightRetries = new Map();
+
+// Waits for the shared retries of a key. An aborted call stops waiting while the retries continue for the others, and the last call to be aborted aborts the retries, so that it gets the same outcome as without a key.
+async function joinRetries(shared, signal) {
+	shared.activeCalls++;
+
+	if (signal === undefined) {
+		return shared.promise;
+	}
+
+	let onAbort;
+
+	try {
+		return await Promise.race([
+			shared.promise,
+			new Promise((resolve, reject) => {
+				onAbort = () => {
+					shared.activeCalls--;
+
+					if (shared.activeCalls === 0) {
+						shared.controller.abort(signal.reason);
+						return;
+					}
+
+					reject(signal.reason);
+				};
+
+				if (signal.aborted) {
+					onAbort();
+					return;
+				}
+
+				signal.addEventListener('abort', onAbort, {once: true});
+			}),
+		]);
+	} finally {
+		signal.removeEventListener('abort', onAbort);
+	}
+}
+
+export default async function pRetry(input, options = {}) {
+	const {key} = options;
+
+	if (key === undefined) {
+		return runRetries(input, options);
+	}
+
+	let shared = inFlightRetries.get(key);
+
+	if (shared === undefined) {
+		// The retries do not use the signal of the first call, as they are shared with the calls that join them
+		const controller = new AbortController();
+
+		if (options.signal?.aborted) {
+			controller.abort(options.signal.reason);
+		}
+
+		shared = {controller, activeCalls: 0};
+		shared.promise = (async () => {
+			try {
+				return await runRetries(input, {...options, signal: controller.signal});
+			} finally {
+				inFlightRetries.delete(key);
+			}
+		})();
+
+		inFlightRetries.set(key, shared);
+	}
+
+	return joinRetries(shared, options.signal);
+}
+
+// Options that `retryAttempts()` leaves to the loop body
+const unsupportedAttemptsOptions = ['retryIf', 'hedge', 'key', 'fallback', 'fallbackOnAbort'];
+
+async function failAttempt(failure, span, state, options) {
+	endSpan(span, {isFailed: true, error: failure});
+
+	await throwIfAborted(state, options);
+
+	options.circuitBreaker?.recordFailure();
+}
+
+// Ends the retries when the loop is left. The generator cannot tell a `break` from an error thrown by the loop body, so only `succeed()` counts as a success.
+async function leaveAttempts({outcome, failure}, span, state, options) {
+	if (outcome === 'succeeded') {
+		endSpan(span, {isFailed: false});
+		options.circuitBreaker?.recordSuccess();
+
+		await succeed(state, options);
+		return;
+	}
+
+	if (outcome === 'failed') {
+		// Leaving the loop after `fail()` stops retrying, like an `AbortError` does in `pRetry`
+		failure ??= new Error(`Attempt ${state.attemptNumber} failed.`);
+
+		await failAttempt(failure, span, state, options);
+
+		state.attempts?.push({
+			error: failure,
+			attemptNumber: state.attemptNumber,
+			timestamp: options.clock.now(),
+			delay: 0,
+		});
+
+		endRetrySpan(state, {isFailed: true, error: await giveUp(failure, 'non-retryable', state, options)});
+		return;
+	}
+
+	// Without an outcome, the attempt counts as failed, but the durable job is kept like when aborting
+	const error = new Error(`The loop was left during attempt ${state.attemptNumber} without calling \`succeed()\` or \`fail()\`.`);
+
+	endSpan(span, {isFailed: true, error});
+	options.circuitBreaker?.recordFailure();
+	endRetrySpan(state, {isFailed: true, error});
+}
+
+export async function * retryAttempts(options = {}) {
+	for (const name of unsupportedAttemptsOptions) {
+		if (options[name] !== undefined) {
+			throw new TypeError(`The \`${name}\` option is not supported by \`retryAttempts()\`.`);
 		}
 	}
 
-	// Should not reach here, but in case it does, throw an error
-	throw new Error('Retry attempts exhausted without throwing an error.');
+	options = normalizeOptions(options);
+
+	options.retryBudget?.recordRequest();
+
+	const state = createState(options);
+
+	try {
+		if (options.durable) {
+			await restoreDurableState(state, options);
+		}
+
+		while (state.attemptNumber < options.retries + 1) {
+			await throwIfAborted(state, options);
+
+			if (options.cooldown) {
+				await waitForCooldown(state, options);
+			}
+
+			state.attemptNumber++;
+
+			if (options.circuitBreaker?.allowAttempt() === false) {
+				throw await giveUp(new CircuitOpenError(), 'circuit-open', state, options);
+			}
+
+			const {signal, dispose} = createAttemptSignal(state, options);
+			const span = trackAttempt(state, options);
+			const result = {};
+			let isStopped = true;
+
+			try {
+				yield Object.freeze({
+					...createAttemptContext(state, options, signal),
+					delay: state.attemptNumber === 1 ? 0 : state.previousDelay,
+					succeed() {
+						result.outcome = 'succeeded';
+					},
+					fail(error) {
+						result.outcome = 'failed';
+						result.failure = error;
+					},
+				});
+
+				// Only reached when the loop body asks for the next attempt
+				isStopped = false;
+			} finally {
+				dispose();
+
+				if (isStopped) {
+					await leaveAttempts(result, span, state, options);
+				}
+			}
+
+			const failure = result.failure ?? new Error(`Attempt ${state.attemptNumber} failed.`);
+
+			await failAttempt(failure, span, state, options);
+
+			await onAttemptFailure(failure, state, options);
+		}
+	} catch (error) {
+		endRetrySpan(state, {isFailed: true, error});
+		throw error;
+	}
 }
 
 export function makeRetriable(function_, options) {
 	return function (...arguments_) {
-		return pRetry(() => function_.apply(this, arguments_), options);
+		const key = typeof options?.key === 'function' ? options.key.apply(this, arguments_) : options?.key;
+		const fallback = options?.fallback && (context => options.fallback.call(this, Object.freeze({...context, arguments: arguments_})));
+
+		return pRetry(() => function_.apply(this, arguments_), {...options, key, fallback});
+	};
+}
+
+export async function pRetryWithStats(input, options = {}) {
+	const clock = resolveClock(options.clock, options);
+	const startTime = clock.now();
+	const errors = [];
+	let attempts = 0;
+	let totalDelay = 0;
+
+	const getStats = () => Object.freeze({
+		attempts,
+		totalDelay,
+		elapsed: clock.now() - startTime,
+		errors: Object.freeze([...errors]),
+	});
+
+	// Counted here instead of from the attempt number, as a hedged attempt can fail without reaching the hooks, and a resumed durable job starts from a later attempt number
+	const countedInput = (attemptNumber, context) => {
+		attempts++;
+		return input(attemptNumber, context);
 	};
+
+	try {
+		const value = await pRetry(countedInput, {
+			...options,
+			[attemptFailureKey](error) {
+				errors.push(normalizeAttemptError(error));
+			},
+			async onRetry(context) {
+				totalDelay += context.delay;
+				await options.onRetry?.(context);
+			},
+		});
+
+		return {value, ...getStats()};
+	} catch (error) {
+		if (typeof error === 'object' && error !== null && Object.isExtensible(error)) {
+			error.retryStats = getStats();
+		}
+
+		throw error;
+	}
+}
+
+export async function pRetryAll(tasks, options = {}) {
+	const {concurrency = Number.POSITIVE_INFINITY, settled = false, signal, ...retryOptions} = options;
+
+	if (!(Number.isInteger(concurrency) || concurrency === Number.POSITIVE_INFINITY) || concurrency < 1) {
+		throw new TypeError('Expected `concurrency` to be an integer from 1 and up or `Infinity`.');
+	}
+
+	// Both would tie the tasks of the batch to one another, as every task gets the same options
+	for (const name of ['key', 'durable']) {
+		if (retryOptions[name] !== undefined) {
+			throw new TypeError(`The \`${name}\` option is not supported by \`pRetryAll()\`.`);
+		}
+	}
+
+	// One signal for the whole batch, so that a failed task can cancel the others
+	const controller = new AbortController();
+	const onAbort = () => {
+		controller.abort(signal.reason);
+	};
+
+	if (signal?.aborted) {
+		onAbort();
+	}
+
+	signal?.addEventListener('abort', onAbort, {once: true});
+
+	const limiter = createLimiter(concurrency);
+	const runTask = task => pRetry(task, {...retryOptions, signal: controller.signal, [limiterKey]: limiter});
+
+	try {
+		if (settled) {
+			return await Promise.allSettled([...tasks].map(task => runTask(task)));
+		}
+
+		return await Promise.all([...tasks].map(async task => {
+			try {
+				return await runTask(task);
+			} catch (error) {
+				controller.abort(error);
+				throw error;
+			}
+		}));
+	} finally {
+		signal?.removeEventListener('abort', onAbort);
+	}
+}
+
+export function createRetry(defaults = {}) {
+	// Validate early so that a bad default fails where the instance is created
+	normalizeOptions(defaults);
+
+	const retry = (input, options) => pRetry(input, {...defaults, ...options});
+	retry.makeRetriable = (function_, options) => makeRetriable(function_, {...defaults, ...options});
+	retry.extend = options => createRetry({...defaults, ...options});
+	retry.defaults = Object.freeze({...defaults});
+
+	return retry;
+}
+
+export async function waitUntil(check, options = {}) {
+	const {until = Boolean, interval, ...retryOptions} = options;
+
+	validateNumberOption('interval', interval, {min: 0});
+
+	return pRetry(check, {
+		retries: Number.POSITIVE_INFINITY,
+		...(interval === undefined ? {} : {backoff: 'constant', minTimeout: interval}),
+		...retryOptions,
+		async retryIf(result, context) {
+			return !(await until(result, context));
+		},
+	});
+}
+
+const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+// Discards the body of a response that is not handed to the user, so the connection can be reused
+async function discardResponseBody(error) {
+	if (error instanceof HTTPError && !error.response.bodyUsed) {
+		try {
+			await error.response.body?.cancel();
+		} catch {}
+	}
+}
+
+export async function retryFetch(input, init, options = {}) {
+	const {fetch = globalThis.fetch, retryMethods = idempotentMethods, ...retryOptions} = options;
+
+	if (!Array.isArray(retryMethods) || !retryMethods.every(method => typeof method === 'string')) {
+		throw new TypeError('Expected `retryMethods` to be an array of HTTP methods.');
+	}
+
+	const request = new Request(input, init);
+	const isRetryableMethod = retryMethods.some(method => method.toUpperCase() === request.method);
+
+	return pRetry(async (attemptNumber, {signal}) => {
+		// Each attempt gets its own copy as a request body can only be read once
+		const response = await fetch(request.clone(), {signal});
+
+		if (!response.ok) {
+			throw new HTTPError(response, request);
+		}
+
+		return response;
+	}, {
+		...policies.http,
+		signal: request.signal,
+		...retryOptions,
+		// Retrying a request that is not idempotent could apply it twice
+		retryOn: isRetryableMethod ? (retryOptions.retryOn ?? policies.http.retryOn) : [],
+		async onRetry(context) {
+			await discardResponseBody(context.error);
+			await retryOptions.onRetry?.(context);
+		},
+	});
 }
@@ -1,5 +1,39 @@
 import {expectType} from 'tsd';
-import pRetry, {AbortError, type RetryContext} from './index.js';
+import pRetry, {
+	waitUntil,
+	makeRetriable,
+	retryAttempts,
+	createTestClock,
+	createRetry,
+	policies,
+	retryFetch,
+	HTTPError,
+	pRetryWithStats,
+	pRetryAll,
+	CooldownRegistry,
+	MemoryRetryStore,
+	FileRetryStore,
+	type DurableRecord,
+	type ResultWithStats,
+	type FallbackContext,
+	type RetrySpan,
+	type MetricTags,
+	type RetryInstance,
+	type Attempt,
+	AbortError,
+	TimeoutError,
+	CircuitBreaker,
+	CircuitOpenError,
+	RetryBudget,
+	RetryError,
+	ResultError,
+	type RetryAttempt,
+	type GiveUpReason,
+	type CircuitBreakerState,
+	type RetryContext,
+	type AttemptContext,
+	type BackoffContext,
+} from './index.js';
 
 expectType<Promise<number>>(
 	pRetry(async count => {
@@ -21,8 +55,207 @@ expectType<Promise<string>>(
 		retries: 5,
 	}),
 );
+expectType<Promise<string>>(
+	pRetry(() => 'foo', {
+		backoff: 'decorrelated-jitter',
+	}),
+);
+expectType<Promise<string>>(
+	pRetry(() => 'foo', {
+		backoff(context) {
+			expectType<BackoffContext>(context);
+			expectType<number | undefined>(context.previousDelay);
+			return context.attemptNumber * 100;
+		},
+	}),
+);
+expectType<Promise<string>>(
+	pRetry(() => 'foo', {
+		getRetryDelay: ({attemptNumber}) => attemptNumber === 1 ? 1000 : undefined,
+	}),
+);
+expectType<Promise<number>>(
+	pRetry(async (attemptNumber, context) => {
+		expectType<AttemptContext>(context);
+		expectType<AbortSignal>(context.signal);
+		expectType<Error | undefined>(context.previousError);
+		return attemptNumber;
+	}, {
+		attemptTimeout: 1000,
+	}),
+);
 
 const abortError = new AbortError('foo');
 new AbortError(new Error('foo')); // eslint-disable-line no-new
 
 expectType<AbortError>(abortError);
+
+expectType<TimeoutError>(new TimeoutError('foo'));
+
+const circuitBreaker = new CircuitBreaker({failureThreshold: 0.5, cooldown: 1000});
+expectType<CircuitBreakerState>(circuitBreaker.state);
+expectType<boolean>(circuitBreaker.allowAttempt());
+expectType<Promise<string>>(pRetry(() => 'foo', {circuitBreaker}));
+expectType<CircuitOpenError>(new CircuitOpenError());
+
+const retryBudget = new RetryBudget({ratio: 0.2, window: 10_000});
+expectType<boolean>(retryBudget.allowRetry());
+expectType<number>(retryBudget.available);
+expectType<Promise<string>>(pRetry(() => 'foo', {retryBudget}));
+
+const retryError = new RetryError([{
+	error: new Error('foo'),
+	attemptNumber: 1,
+	timestamp: Date.now(),
+	delay: 0,
+}]);
+expectType<readonly RetryAttempt[]>(retryError.attempts);
+expectType<Error>(retryError.cause);
+expectType<Promise<string>>(pRetry(() => 'foo', {aggregateErrors: true}));
+
+expectType<Promise<string>>(pRetry(() => 'foo', {
+	onRetry({delay, nextAttemptNumber, error}) {
+		expectType<number>(delay);
+		expectType<number>(nextAttemptNumber);
+		expectType<Error>(error);
+	},
+	onSuccess({attemptNumber, elapsed}) {
+		expectType<number>(attemptNumber);
+		expectType<number>(elapsed);
+	},
+	onGiveUp({reason, error}) {
+		expectType<GiveUpReason>(reason);
+		expectType<unknown>(error);
+	},
+}));
+
+expectType<Promise<string>>(pRetry(() => 'foo', {
+	retryOn: [TimeoutError, 'ECONNRESET', 503, error => error.message === 'foo'],
+}));
+
+expectType<Promise<number>>(pRetry(() => 1, {
+	retryIf(result, {attemptNumber}) {
+		expectType<number>(attemptNumber);
+		return result === 0;
+	},
+}));
+expectType<unknown>(new ResultError(1, 1).result);
+
+expectType<Promise<number>>(waitUntil(() => 1, {interval: 100, maxRetryTime: 1000}));
+
+type Job = {status: 'pending'} | {status: 'done'; value: string};
+declare const getJob: () => Promise<Job>;
+expectType<Promise<{status: 'done'; value: string}>>(waitUntil(getJob, {
+	until: (job): job is {status: 'done'; value: string} => job.status === 'done',
+}));
+expectType<Promise<Job>>(waitUntil(getJob, {
+	async until(job) {
+		return job.status === 'done';
+	},
+}));
+
+expectType<AsyncGenerator<Attempt, void, undefined>>(retryAttempts({retries: 5}));
+
+async function retryInline() {
+	for await (const attempt of retryAttempts()) {
+		expectType<number>(attempt.delay);
+		expectType<AbortSignal>(attempt.signal);
+		attempt.fail(new Error('foo'));
+	}
+}
+
+await retryInline();
+
+const testClock = createTestClock({now: 0, random: () => 0});
+expectType<readonly number[]>(testClock.sleeps);
+expectType<Promise<void>>(testClock.tick(1000));
+expectType<Promise<string>>(pRetry(() => 'foo', {clock: testClock}));
+expectType<Promise<string>>(pRetry(() => 'foo', {clock: {now: () => 0}}));
+new CircuitBreaker({clock: testClock}); // eslint-disable-line no-new
+
+const retry = createRetry({retries: 5});
+expectType<RetryInstance>(retry);
+expectType<Promise<number>>(retry(async () => 1, {minTimeout: 0}));
+expectType<RetryInstance>(retry.extend({retries: 10}));
+expectType<(url: string) => Promise<number>>(retry.makeRetriable(async (url: string) => url.length));
+expectType<number | undefined>(retry.defaults.retries);
+
+expectType<Promise<string>>(pRetry(() => 'foo', {
+	...policies.http,
+	retries: 3,
+	retryOn: [...policies.http.retryOn, 404],
+}));
+expectType<RetryInstance>(createRetry(policies.gentle));
+
+expectType<Promise<Response>>(retryFetch('https://sindresorhus.com'));
+expectType<Promise<Response>>(retryFetch(new URL('https://sindresorhus.com'), {method: 'POST'}, {
+	retries: 3,
+	retryMethods: ['POST'],
+	fetch: async (request, init) => fetch(request, init),
+}));
+expectType<Response>(new HTTPError(new Response(), new Request('https://sindresorhus.com')).response);
+
+expectType<Promise<string>>(pRetry(() => 'foo', {hedge: {delay: 100}}));
+expectType<Promise<string>>(pRetry(() => 'foo', {hedge: {delay: 100, maxInFlight: 3}}));
+
+expectType<Promise<ResultWithStats<string>>>(pRetryWithStats(() => 'foo'));
+expectType<Promise<ResultWithStats<number>>>(pRetryWithStats(async () => 1, {retries: 2}));
+
+declare const span: RetrySpan;
+expectType<Promise<string>>(pRetry(() => 'foo', {
+	tracer: {
+		startSpan(name, {attributes, parent}) {
+			expectType<string>(name);
+			expectType<Record<string, string | number | boolean>>(attributes);
+			expectType<RetrySpan | undefined>(parent);
+			return span;
+		},
+	},
+}));
+
+expectType<Promise<string>>(pRetry(() => 'foo', {
+	operation: 'foo',
+	metrics: {
+		increment(name, tags) {
+			expectType<string>(name);
+			expectType<MetricTags>(tags);
+		},
+		record(name, value, tags) {
+			expectType<number>(value);
+		},
+	},
+}));
+
+expectType<Promise<string[]>>(pRetryAll([() => 'foo', async () => 'bar'], {concurrency: 2}));
+expectType<Promise<Array<PromiseSettledResult<number>>>>(pRetryAll([() => 1], {settled: true, retries: 2}));
+
+expectType<Promise<string>>(pRetry(() => 'foo', {durable: {store: new MemoryRetryStore(), key: 'job'}}));
+expectType<Promise<string>>(pRetry(() => 'foo', {durable: {store: new FileRetryStore('retries.json'), key: 'job'}}));
+expectType<Promise<DurableRecord | undefined>>(new MemoryRetryStore().get('job'));
+
+expectType<Promise<string>>(pRetry(() => 'foo', {key: 'user:1'}));
+expectType<(id: number) => Promise<string>>(makeRetriable(async (id: number) => String(id), {
+	key(id) {
+		expectType<number>(id);
+		return `user:${id}`;
+	},
+}));
+
+const cooldowns = new CooldownRegistry();
+cooldowns.set('api.example.com', new Date());
+expectType<number | undefined>(cooldowns.get('api.example.com'));
+expectType<Promise<string>>(pRetry(() => 'foo', {cooldown: {registry: cooldowns, scope: 'api.example.com'}}));
+
+expectType<Promise<string | undefined>>(pRetry(() => 'foo', {
+	fallback(context) {
+		expectType<FallbackContext>(context);
+		return undefined;
+	},
+}));
+expectType<(id: number) => Promise<string>>(makeRetriable(async (id: number) => String(id), {
+	fallback({arguments: [id], attempts}) {
+		expectType<number>(id);
+		expectType<number>(attempts.length);
+		return 'cached';
+	},
+}));
@@ -1,10 +1,32 @@
 import process from 'node:process';
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import os from 'node:os';
 import {execa} from 'execa';
 import test from 'ava';
 import delay from 'delay';
-import pRetry, {makeRetriable, AbortError} from './index.js';
+import pRetry, {
+	makeRetriable,
+	waitUntil,
+	retryAttempts,
+	AbortError,
+	TimeoutError,
+	CircuitBreaker,
+	CircuitOpenError,
+	RetryBudget,
+	RetryError,
+	ResultError,
+	createTestClock,
+	createRetry,
+	policies,
+	retryFetch,
+	HTTPError,
+	pRetryWithStats,
+	pRetryAll,
+	MemoryRetryStore,
+	FileRetryStore,
+	CooldownRegistry,
+} from './index.js';
 
 const fixture = Symbol('fixture');
 const fixtureError = new Error('fixture');
@@ -23,6 +45,9 @@ test('retries', async t => {
 });
 
 test('retries forever when specified', async t => {
+	// The backoff of 15 attempts adds up to about 16 seconds without another test finishing in the meantime
+	t.timeout(30_000);
+
 	let attempts = 0;
 	const maxAttempts = 15; // Limit for test purposes
 
@@ -569,6 +594,202 @@ test.serial('randomize affects retry delays', async t => {
 	t.deepEqual(captured, [100, 200, 150]);
 });
 
+test.serial('backoff strategies calculate the delays', async t => {
+	const originalSetTimeout = setTimeout;
+	let captured;
+	globalThis.setTimeout = (function_, ms) => {
+		captured.push(ms);
+		return originalSetTimeout(function_, 0);
+	};
+
+	t.teardown(() => {
+		globalThis.setTimeout = originalSetTimeout;
+	});
+
+	const expectations = {
+		exponential: [100, 200, 400, 800, 1600],
+		linear: [100, 200, 300, 400, 500],
+		constant: [100, 100, 100, 100, 100],
+		fibonacci: [100, 100, 200, 300, 500],
+	};
+
+	for (const [backoff, expected] of Object.entries(expectations)) {
+		captured = [];
+
+		await t.throwsAsync(pRetry(async () => {
+			throw new Error('test');
+		}, {
+			retries: 5,
+			minTimeout: 100,
+			backoff,
+		}));
+
+		t.deepEqual(captured, expected);
+	}
+});
+
+test.serial('jittered backoff strategies use randomness and ignore randomize', async t => {
+	const originalSetTimeout = setTimeout;
+	const originalRandom = Math.random;
+	let captured;
+	globalThis.setTimeout = (function_, ms) => {
+		captured.push(ms);
+		return originalSetTimeout(function_, 0);
+	};
+
+	Math.random = () => 0.5;
+
+	t.teardown(() => {
+		globalThis.setTimeout = originalSetTimeout;
+		Math.random = originalRandom;
+	});
+
+	const expectations = {
+		'full-jitter': [50, 100, 200],
+		'equal-jitter': [75, 150, 300],
+		'decorrelated-jitter': [200, 350, 575],
+	};
+
+	for (const [backoff, expected] of Object.entries(expectations)) {
+		captured = [];
+
+		await t.throwsAsync(pRetry(async () => {
+			throw new Error('test');
+		}, {
+			retries: 3,
+			minTimeout: 100,
+			randomize: true,
+			backoff,
+		}));
+
+		t.deepEqual(captured, expected);
+	}
+});
+
+test.serial('custom backoff function receives the context and is capped by maxTimeout', async t => {
+	const captured = [];
+	const contexts = [];
+	const originalSetTimeout = setTimeout;
+	globalThis.setTimeout = (function_, ms) => {
+		captured.push(ms);
+		return originalSetTimeout(function_, 0);
+	};
+
+	t.teardown(() => {
+		globalThis.setTimeout = originalSetTimeout;
+	});
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		retries: 3,
+		maxTimeout: 250,
+		backoff(context) {
+			contexts.push(context);
+			return context.attemptNumber * 100;
+		},
+	}));
+
+	t.deepEqual(captured, [100, 200, 250]);
+	t.deepEqual(contexts.map(({attemptNumber, previousDelay}) => [attemptNumber, previousDelay]), [[1, undefined], [2, 100], [3, 200]]);
+	t.is(contexts[0].error, fixtureError);
+});
+
+test.serial('invalid backoff option throws', async t => {
+	await t.throwsAsync(pRetry(async () => {}, {backoff: 'unknown'}), {
+		instanceOf: TypeError,
+		message: /Expected `backoff` to be a function or one of/,
+	});
+
+	await t.throwsAsync(pRetry(async () => {
+		throw new Error('fail');
+	}, {backoff: () => -1}), {
+		instanceOf: TypeError,
+		message: /backoff\(\) return value/,
+	});
+});
+
+test.serial('honors retry delay hints from the error', async t => {
+	const captured = [];
+	const originalSetTimeout = setTimeout;
+	globalThis.setTimeout = (function_, ms) => {
+		captured.push(ms);
+		return originalSetTimeout(function_, 0);
+	};
+
+	t.teardown(() => {
+		globalThis.setTimeout = originalSetTimeout;
+	});
+
+	const errors = [
+		Object.assign(new Error('retryAfter'), {retryAfter: 300}),
+		Object.assign(new Error('Headers'), {response: {headers: new Headers({'Retry-After': '2'})}}),
+		Object.assign(new Error('object'), {headers: {'retry-after': '1'}}),
+		Object.assign(new Error('date'), {headers: {'Retry-After': new Date(Date.now() + 60_000).toUTCString()}}),
+		new Error('no hint'),
+	];
+
+	await t.throwsAsync(pRetry(async attemptNumber => {
+		throw errors[attemptNumber - 1];
+	}, {
+		retries: 5,
+		minTimeout: 100,
+		factor: 1,
+		maxTimeout: 30_000,
+	}));
+
+	t.deepEqual(captured, [300, 2000, 1000, 30_000, 100]);
+});
+
+test.serial('getRetryDelay overrides the delay and falls back when undefined', async t => {
+	const captured = [];
+	const originalSetTimeout = setTimeout;
+	globalThis.setTimeout = (function_, ms) => {
+		captured.push(ms);
+		return originalSetTimeout(function_, 0);
+	};
+
+	t.teardown(() => {
+		globalThis.setTimeout = originalSetTimeout;
+	});
+
+	await t.throwsAsync(pRetry(async () => {
+		throw Object.assign(new Error('fail'), {retryAfter: 500});
+	}, {
+		retries: 3,
+		minTimeout: 100,
+		async getRetryDelay({attemptNumber}) {
+			return attemptNumber === 2 ? undefined : 50;
+		},
+	}));
+
+	t.deepEqual(captured, [50, 500, 50]);
+});
+
+test.serial('retry delay hints are capped by maxRetryTime', async t => {
+	const clock = createTestClock();
+	const delays = [];
+	let attempts = 0;
+
+	const assertion = t.throwsAsync(pRetry(async () => {
+		attempts++;
+		throw Object.assign(new Error('fail'), {retryAfter: 60_000});
+	}, {
+		clock,
+		retries: 1,
+		maxRetryTime: 10_000,
+		onRetry({delay}) {
+			delays.push(delay);
+		},
+	}));
+
+	await clock.runAll();
+	await assertion;
+
+	t.is(attempts, 2);
+	t.deepEqual(delays, [10_000]);
+});
+
 test('maxRetryTime limits total retry duration', async t => {
 	const start = Date.now();
 	const maxRetryTime = 1000;
@@ -646,6 +867,108 @@ test('signal abort during delay cancels promptly', async t => {
 // 	});
 // });
 
+test.serial('attemptTimeout rejects a hung attempt with TimeoutError and retries', async t => {
+	const signals = [];
+	const errors = [];
+
+	const result = await pRetry(async (attemptNumber, {signal}) => {
+		signals.push(signal);
+
+		if (attemptNumber === 1) {
+			return new Promise(() => {}); // Never settles
+		}
+
+		return fixture;
+	}, {
+		attemptTimeout: 50,
+		minTimeout: 0,
+		onFailedAttempt({error}) {
+			errors.push(error);
+		},
+	});
+
+	t.is(result, fixture);
+	t.is(errors.length, 1);
+	t.true(errors[0] instanceof TimeoutError);
+	t.true(signals[0].aborted);
+	t.is(signals[0].reason, errors[0]);
+	t.false(signals[1].aborted);
+});
+
+test.serial('TimeoutError goes through shouldRetry', async t => {
+	let attempts = 0;
+
+	await t.throwsAsync(pRetry(async () => {
+		attempts++;
+		await delay(200);
+	}, {
+		attemptTimeout: 20,
+		minTimeout: 0,
+		shouldRetry: ({error}) => !(error instanceof TimeoutError),
+	}), {instanceOf: TimeoutError, message: 'Attempt 1 timed out after 20 milliseconds.'});
+
+	t.is(attempts, 1);
+});
+
+test.serial('attempt signal is aborted with the user signal', async t => {
+	const controller = new AbortController();
+	let attemptSignal;
+	let onFailedAttemptCalled = false;
+
+	await t.throwsAsync(pRetry(async (attemptNumber, {signal}) => {
+		attemptSignal = signal;
+		setTimeout(() => controller.abort(fixtureError), 20);
+		await new Promise((resolve, reject) => {
+			signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+		});
+	}, {
+		signal: controller.signal,
+		onFailedAttempt() {
+			onFailedAttemptCalled = true;
+		},
+	}), {is: fixtureError});
+
+	t.true(attemptSignal.aborted);
+	t.false(onFailedAttemptCalled);
+});
+
+test.serial('input receives the attempt context', async t => {
+	const contexts = [];
+
+	await pRetry(async (attemptNumber, context) => {
+		contexts.push(context);
+		t.is(context.attemptNumber, attemptNumber);
+
+		if (attemptNumber < 3) {
+			throw new Error(`fail ${attemptNumber}`);
+		}
+	}, {
+		retries: 4,
+		minTimeout: 20,
+	});
+
+	t.deepEqual(contexts.map(({retriesLeft}) => retriesLeft), [4, 3, 2]);
+	t.deepEqual(contexts.map(({previousError}) => previousError?.message), [undefined, 'fail 1', 'fail 2']);
+	t.true(contexts[0].elapsed < contexts[2].elapsed);
+	t.true(Object.isFrozen(contexts[0]));
+});
+
+test.serial('attempt signal is aborted when maxRetryTime runs out', async t => {
+	let attempts = 0;
+
+	const error = await t.throwsAsync(pRetry(async (attemptNumber, {signal}) => {
+		attempts++;
+		await new Promise((resolve, reject) => {
+			signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+		});
+	}, {
+		maxRetryTime: 50,
+	}), {instanceOf: TimeoutError});
+
+	t.is(error.message, 'The retry time of 50 milliseconds was exceeded.');
+	t.is(attempts, 1);
+});
+
 test('aborts immediately if signal is already aborted with reason', async t => {
 	let called = 0;
 	const controller = new AbortController();
@@ -732,6 +1055,7 @@ test('onFailedAttempt still called when retries is zero', async t => {
 
 test('invalid numeric options throw', async t => {
 	await t.throwsAsync(pRetry(async () => {}, {factor: -1}));
+	await t.throwsAsync(pRetry(async () => {}, {attemptTimeout: -1}));
 	await t.throwsAsync(pRetry(async () => {}, {minTimeout: -1}));
 	await t.throwsAsync(pRetry(async () => {}, {maxTimeout: -1}));
 	await t.throwsAsync(pRetry(async () => {}, {maxRetryTime: -1}));
@@ -1005,6 +1329,2028 @@ test('makeRetriable preserves `this` context', async t => {
 	t.is(object.calls, 2);
 });
 
+test.serial('circuit breaker opens after failures and fails fast', async t => {
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 3, windowSize: 3, cooldown: 60_000});
+	let attempts = 0;
+
+	await t.throwsAsync(pRetry(async () => {
+		attempts++;
+		throw fixtureError;
+	}, {
+		circuitBreaker,
+		retries: 5,
+		minTimeout: 0,
+	}), {instanceOf: CircuitOpenError});
+
+	t.is(attempts, 3);
+	t.is(circuitBreaker.state, 'open');
+
+	await t.throwsAsync(pRetry(async () => {
+		attempts++;
+	}, {circuitBreaker}), {instanceOf: CircuitOpenError});
+
+	t.is(attempts, 3);
+});
+
+test.serial('circuit breaker closes after successful probes', async t => {
+	const circuitBreaker = new CircuitBreaker({
+		minimumAttempts: 1,
+		cooldown: 50,
+		probeAttempts: 2,
+	});
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {circuitBreaker, retries: 0}), {is: fixtureError});
+
+	t.is(circuitBreaker.state, 'open');
+	await delay(60);
+	t.is(circuitBreaker.state, 'half-open');
+
+	t.is(await pRetry(() => fixture, {circuitBreaker}), fixture);
+	t.is(circuitBreaker.state, 'half-open');
+	t.is(await pRetry(() => fixture, {circuitBreaker}), fixture);
+	t.is(circuitBreaker.state, 'closed');
+});
+
+test.serial('circuit breaker reopens when a probe fails', async t => {
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 1, cooldown: 50});
+	circuitBreaker.recordFailure();
+	t.is(circuitBreaker.state, 'open');
+
+	await delay(60);
+
+	t.true(circuitBreaker.allowAttempt());
+	t.false(circuitBreaker.allowAttempt());
+	circuitBreaker.recordFailure();
+	t.is(circuitBreaker.state, 'open');
+
+	circuitBreaker.reset();
+	t.is(circuitBreaker.state, 'closed');
+});
+
+test.serial('circuit breaker respects the failure rate', t => {
+	const circuitBreaker = new CircuitBreaker({failureThreshold: 0.5, minimumAttempts: 4, windowSize: 4});
+
+	circuitBreaker.recordSuccess();
+	circuitBreaker.recordSuccess();
+	circuitBreaker.recordSuccess();
+	circuitBreaker.recordFailure();
+	t.is(circuitBreaker.state, 'closed');
+
+	circuitBreaker.recordFailure();
+	t.is(circuitBreaker.state, 'open');
+});
+
+test.serial('circuit breaker validates options', t => {
+	t.throws(() => new CircuitBreaker({failureThreshold: 2}), {instanceOf: TypeError});
+	t.throws(() => new CircuitBreaker({failureThreshold: 0}), {message: 'Expected `failureThreshold` to be a rate above 0 and up to 1.'});
+	t.throws(() => new CircuitBreaker({minimumAttempts: 5, windowSize: 4}), {message: 'Expected `minimumAttempts` to be at most `windowSize`.'});
+	t.throws(() => new CircuitBreaker({cooldown: -1}), {instanceOf: TypeError});
+});
+
+test.serial('retry budget stops retrying when exhausted', async t => {
+	const retryBudget = new RetryBudget({ratio: 0.5, minRetries: 0});
+	let attempts = 0;
+
+	const run = () => pRetry(async () => {
+		attempts++;
+		throw fixtureError;
+	}, {
+		retryBudget,
+		retries: 5,
+		minTimeout: 0,
+	});
+
+	await t.throwsAsync(run(), {is: fixtureError});
+	t.is(attempts, 1);
+	t.is(retryBudget.rejected, 1);
+
+	await t.throwsAsync(run(), {is: fixtureError});
+	t.is(attempts, 3);
+	t.is(retryBudget.requests, 2);
+	t.is(retryBudget.retries, 1);
+	t.is(retryBudget.available, 0);
+	t.is(retryBudget.rejected, 2);
+});
+
+test.serial('retry budget allows minRetries and refills after the window', async t => {
+	const retryBudget = new RetryBudget({ratio: 0, minRetries: 2, window: 50});
+
+	t.true(retryBudget.allowRetry());
+	t.true(retryBudget.allowRetry());
+	t.false(retryBudget.allowRetry());
+
+	await delay(60);
+
+	t.is(retryBudget.retries, 0);
+	t.is(retryBudget.available, 2);
+});
+
+test.serial('aggregateErrors rejects with the history of all attempts', async t => {
+	const errors = [new Error('timeout'), new Error('500'), new Error('503')];
+	const start = Date.now();
+
+	const error = await t.throwsAsync(pRetry(async attemptNumber => {
+		throw errors[attemptNumber - 1];
+	}, {
+		retries: 2,
+		minTimeout: 10,
+		aggregateErrors: true,
+	}), {instanceOf: RetryError});
+
+	t.true(error instanceof AggregateError);
+	t.is(error.message, 'Failed after 3 attempts: 503');
+	t.deepEqual(error.errors, errors);
+	t.is(error.cause, errors[2]);
+	t.deepEqual(error.attempts.map(({attemptNumber, delay}) => [attemptNumber, delay]), [[1, 10], [2, 20], [3, 0]]);
+	t.true(error.attempts.every(({timestamp}) => timestamp >= start));
+});
+
+test.serial('aggregateErrors wraps non-retryable errors', async t => {
+	const error = await t.throwsAsync(pRetry(async () => {
+		throw new AbortError(fixtureError);
+	}, {aggregateErrors: true}), {instanceOf: RetryError});
+
+	t.is(error.message, 'Failed after 1 attempt: fixture');
+	t.is(error.cause, fixtureError);
+});
+
+test.serial('aggregateErrors does not wrap errors from callbacks', async t => {
+	const callbackError = new Error('callback');
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		aggregateErrors: true,
+		onFailedAttempt() {
+			throw callbackError;
+		},
+	}), {is: callbackError});
+});
+
+test.serial('onRetry is called with the delay and next attempt number', async t => {
+	const calls = [];
+
+	await pRetry(async attemptNumber => {
+		if (attemptNumber < 3) {
+			throw fixtureError;
+		}
+	}, {
+		minTimeout: 10,
+		onRetry({error, attemptNumber, delay, nextAttemptNumber}) {
+			t.is(error, fixtureError);
+			calls.push([attemptNumber, delay, nextAttemptNumber]);
+		},
+	});
+
+	t.deepEqual(calls, [[1, 10, 2], [2, 20, 3]]);
+});
+
+test.serial('onRetry is not called when not retrying', async t => {
+	let onRetryCalled = false;
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		retries: 0,
+		onRetry() {
+			onRetryCalled = true;
+		},
+	}));
+
+	t.false(onRetryCalled);
+});
+
+test.serial('onSuccess receives the number of attempts used', async t => {
+	let context;
+
+	const result = await pRetry(async attemptNumber => {
+		if (attemptNumber < 2) {
+			throw fixtureError;
+		}
+
+		return fixture;
+	}, {
+		minTimeout: 10,
+		onSuccess(successContext) {
+			context = successContext;
+		},
+	});
+
+	t.is(result, fixture);
+	t.is(context.attemptNumber, 2);
+	t.true(context.elapsed >= 10);
+});
+
+test.serial('onGiveUp receives the reason', async t => {
+	const giveUpContext = async (input, options) => {
+		let context;
+
+		await t.throwsAsync(pRetry(input, {
+			minTimeout: 0,
+			...options,
+			onGiveUp(giveUpContext) {
+				context = giveUpContext;
+			},
+		}));
+
+		return context;
+	};
+
+	const giveUpReason = async (input, options) => {
+		const {reason} = await giveUpContext(input, options);
+		return reason;
+	};
+
+	const fail = async () => {
+		throw fixtureError;
+	};
+
+	const exhausted = await giveUpContext(fail, {retries: 2});
+	t.is(exhausted.reason, 'retries-exhausted');
+	t.is(exhausted.error, fixtureError);
+	t.is(exhausted.attemptNumber, 3);
+
+	t.is(await giveUpReason(fail, {maxRetryTime: 0}), 'max-retry-time');
+	t.is(await giveUpReason(fail, {shouldRetry: () => false}), 'should-retry');
+	t.is(await giveUpReason(async () => {
+		throw new TypeError('bug');
+	}), 'non-retryable');
+	t.is(await giveUpReason(async () => {
+		throw new AbortError('stop');
+	}), 'non-retryable');
+	t.is(await giveUpReason(fail, {retryBudget: new RetryBudget({ratio: 0, minRetries: 0})}), 'retry-budget');
+
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 1});
+	circuitBreaker.recordFailure();
+	t.is(await giveUpReason(fail, {circuitBreaker}), 'circuit-open');
+
+	const controller = new AbortController();
+	controller.abort(fixtureError);
+	const aborted = await giveUpContext(fail, {signal: controller.signal});
+	t.is(aborted.reason, 'aborted');
+	t.is(aborted.error, fixtureError);
+	t.is(aborted.attemptNumber, 0);
+});
+
+test.serial('onGiveUp receives the RetryError with aggregateErrors', async t => {
+	let context;
+
+	const error = await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		retries: 0,
+		aggregateErrors: true,
+		onGiveUp(giveUpContext) {
+			context = giveUpContext;
+		},
+	}), {instanceOf: RetryError});
+
+	t.is(context.error, error);
+});
+
+test.serial('retryOn classifies errors by class, code, status, and predicate', async t => {
+	class TransientError extends Error {}
+
+	const retried = async error => {
+		let attempts = 0;
+
+		await t.throwsAsync(pRetry(async () => {
+			attempts++;
+			throw error;
+		}, {
+			retries: 1,
+			minTimeout: 0,
+			retryOn: [
+				TransientError,
+				'ECONNRESET',
+				503,
+				error => error.message === 'predicate',
+			],
+		}));
+
+		return attempts === 2;
+	};
+
+	t.true(await retried(new TransientError('class')));
+	t.true(await retried(Object.assign(new Error('code'), {code: 'ECONNRESET'})));
+	t.true(await retried(new Error('cause code', {cause: {code: 'ECONNRESET'}})));
+	t.true(await retried(Object.assign(new Error('status'), {status: 503})));
+	t.true(await retried(Object.assign(new Error('response status'), {response: {status: 503}})));
+	t.true(await retried(new Error('predicate')));
+	t.false(await retried(Object.assign(new Error('other status'), {statusCode: 404})));
+	t.false(await retried(new Error('other')));
+});
+
+test.serial('retryOn replaces the TypeError rule', async t => {
+	let attempts = 0;
+	let shouldRetryCalled = false;
+
+	await t.throwsAsync(pRetry(async () => {
+		attempts++;
+		throw new TypeError('transient');
+	}, {
+		retries: 1,
+		minTimeout: 0,
+		retryOn: [TypeError],
+	}));
+
+	t.is(attempts, 2);
+
+	await t.throwsAsync(pRetry(async () => {
+		throw new TypeError('Failed to fetch');
+	}, {
+		retryOn: ['ECONNRESET'],
+		shouldRetry() {
+			shouldRetryCalled = true;
+			return true;
+		},
+	}), {message: 'Failed to fetch'});
+
+	t.false(shouldRetryCalled);
+});
+
+test.serial('retryOn never retries AbortError', async t => {
+	let attempts = 0;
+
+	await t.throwsAsync(pRetry(async () => {
+		attempts++;
+		throw new AbortError(fixtureError);
+	}, {retryOn: [Error]}), {is: fixtureError});
+
+	t.is(attempts, 1);
+});
+
+test.serial('invalid retryOn option throws', async t => {
+	await t.throwsAsync(pRetry(async () => {}, {retryOn: 'ECONNRESET'}), {
+		instanceOf: TypeError,
+		message: /Expected `retryOn` to be an array/,
+	});
+});
+
+test.serial('retryIf retries resolved values', async t => {
+	const contexts = [];
+	const errors = [];
+
+	const result = await pRetry(async attemptNumber => ({status: attemptNumber < 3 ? 'pending' : 'done'}), {
+		minTimeout: 0,
+		retryIf(result, context) {
+			contexts.push(context);
+			return result.status === 'pending';
+		},
+		onFailedAttempt({error}) {
+			errors.push(error);
+		},
+	});
+
+	t.deepEqual(result, {status: 'done'});
+	t.deepEqual(contexts.map(({attemptNumber}) => attemptNumber), [1, 2, 3]);
+	t.true(errors.every(error => error instanceof ResultError));
+	t.deepEqual(errors.map(({result}) => result), [{status: 'pending'}, {status: 'pending'}]);
+});
+
+test.serial('retryIf rejects with the last result when exhausted', async t => {
+	let shouldRetryCalls = 0;
+
+	const error = await t.throwsAsync(pRetry(async attemptNumber => attemptNumber, {
+		retries: 2,
+		minTimeout: 0,
+		retryOn: ['ECONNRESET'],
+		async retryIf() {
+			return true;
+		},
+		shouldRetry() {
+			shouldRetryCalls++;
+			return true;
+		},
+	}), {instanceOf: ResultError});
+
+	t.is(error.result, 3);
+	t.is(error.message, 'The result of attempt 3 was rejected by `retryIf`.');
+	t.is(shouldRetryCalls, 2);
+});
+
+test.serial('waitUntil polls until the condition holds', async t => {
+	const start = Date.now();
+	let checks = 0;
+
+	const result = await waitUntil(async () => {
+		checks++;
+		return {state: checks < 4 ? 'pending' : 'ready'};
+	}, {
+		until: ({state}) => state === 'ready',
+		interval: 20,
+	});
+
+	t.deepEqual(result, {state: 'ready'});
+	t.is(checks, 4);
+	t.true(Date.now() - start >= 60);
+});
+
+test.serial('waitUntil defaults to a truthy value', async t => {
+	let checks = 0;
+	const result = await waitUntil(() => ++checks >= 3 && fixture, {interval: 0});
+
+	t.is(result, fixture);
+	t.is(checks, 3);
+});
+
+test.serial('waitUntil rejects with the last value after the deadline', async t => {
+	let checks = 0;
+
+	const error = await t.throwsAsync(waitUntil(() => ++checks, {
+		until: () => false,
+		interval: 20,
+		// Leaves room for a slow event loop, so that there is always more than one check
+		maxRetryTime: 300,
+	}), {instanceOf: ResultError});
+
+	t.is(error.result, checks);
+	t.true(checks >= 2);
+});
+
+test.serial('waitUntil rejects for an invalid interval', async t => {
+	let checks = 0;
+
+	await t.throwsAsync(waitUntil(() => ++checks, {interval: -1}), {message: 'Expected `interval` to be \u2265 0.'});
+	t.is(checks, 0);
+});
+
+test.serial('waitUntil can be aborted', async t => {
+	const controller = new AbortController();
+	setTimeout(() => controller.abort(fixtureError), 50);
+
+	await t.throwsAsync(waitUntil(() => false, {
+		interval: 10,
+		signal: controller.signal,
+	}), {is: fixtureError});
+});
+
+test.serial('retryAttempts yields attempts until the loop breaks', async t => {
+	const attempts = [];
+	let successContext;
+
+	for await (const attempt of retryAttempts({
+		minTimeout: 10,
+		onSuccess(context) {
+			successContext = context;
+		},
+	})) {
+		attempts.push(attempt);
+
+		if (attempt.attemptNumber < 3) {
+			attempt.fail(new Error(`fail ${attempt.attemptNumber}`));
+			continue;
+		}
+
+		attempt.succeed();
+		break;
+	}
+
+	t.deepEqual(attempts.map(({attemptNumber, delay}) => [attemptNumber, delay]), [[1, 0], [2, 10], [3, 20]]);
+	t.is(attempts[2].previousError.message, 'fail 2');
+	t.is(attempts[2].retriesLeft, 8);
+	t.true(attempts[2].signal instanceof AbortSignal);
+	t.is(successContext.attemptNumber, 3);
+});
+
+test.serial('retryAttempts throws the last error when exhausted', async t => {
+	let count = 0;
+	const failedErrors = [];
+
+	await t.throwsAsync(async () => {
+		for await (const attempt of retryAttempts({
+			retries: 2,
+			minTimeout: 0,
+			onFailedAttempt({error}) {
+				failedErrors.push(error);
+			},
+		})) {
+			count++;
+
+			if (attempt.attemptNumber === 3) {
+				attempt.fail(fixtureError);
+			}
+		}
+	}, {is: fixtureError});
+
+	t.is(count, 3);
+	t.is(failedErrors[0].message, 'Attempt 1 failed.');
+});
+
+test.serial('retryAttempts uses shouldRetry and abort handling', async t => {
+	const controller = new AbortController();
+
+	await t.throwsAsync(async () => {
+		for await (const attempt of retryAttempts({
+			minTimeout: 0,
+			signal: controller.signal,
+		})) {
+			if (attempt.attemptNumber === 2) {
+				controller.abort(fixtureError);
+			}
+		}
+	}, {is: fixtureError});
+
+	let count = 0;
+
+	await t.throwsAsync(async () => {
+		for await (const attempt of retryAttempts({shouldRetry: () => false})) {
+			count++;
+			attempt.fail(fixtureError);
+		}
+	}, {is: fixtureError});
+
+	t.is(count, 1);
+});
+
+test.serial('retryAttempts gives up when the loop is left after a failed attempt', async t => {
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 1, windowSize: 1, cooldown: 60_000});
+	let giveUpContext;
+	let isSucceeded = false;
+
+	// eslint-disable-next-line no-unreachable-loop
+	for await (const attempt of retryAttempts({
+		circuitBreaker,
+		onGiveUp(context) {
+			giveUpContext = context;
+		},
+		onSuccess() {
+			isSucceeded = true;
+		},
+	})) {
+		attempt.fail(fixtureError);
+		break;
+	}
+
+	t.is(giveUpContext.error, fixtureError);
+	t.is(giveUpContext.reason, 'non-retryable');
+	t.is(giveUpContext.attemptNumber, 1);
+	t.false(isSucceeded);
+	t.is(circuitBreaker.state, 'open');
+});
+
+test.serial('retryAttempts does not count leaving the loop without an outcome as a success', async t => {
+	const thrownError = new Error('boom in body');
+	const store = new MemoryRetryStore();
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 1, windowSize: 1, cooldown: 60_000});
+	const {tracer, spans} = createTracer();
+	const {metrics, counters} = createMetrics();
+	let isSucceeded = false;
+	let isGivenUp = false;
+
+	await store.set('job', {
+		attemptNumber: 1,
+		startTime: Date.now(),
+		nextRunTime: Date.now(),
+		delay: 0,
+		error: {name: 'Error', message: 'previous'},
+	});
+
+	await t.throwsAsync(async () => {
+		// eslint-disable-next-line no-unreachable-loop
+		for await (const attempt of retryAttempts({
+			circuitBreaker,
+			tracer,
+			metrics,
+			durable: {store, key: 'job'},
+			onSuccess() {
+				isSucceeded = true;
+			},
+			onGiveUp() {
+				isGivenUp = true;
+			},
+		})) {
+			t.is(attempt.attemptNumber, 2);
+			throw thrownError;
+		}
+	}, {is: thrownError});
+
+	t.false(isSucceeded);
+	t.false(isGivenUp);
+	t.is(circuitBreaker.state, 'open');
+	const record = await store.get('job');
+	t.is(record.attemptNumber, 1);
+	t.false(counters.some(({name}) => name === 'retry.successes'));
+	t.true(spans.every(({isEnded, status}) => isEnded && status.code === 2));
+});
+
+test.serial('retryAttempts gives up with the failure when the loop body throws after a failed attempt', async t => {
+	const thrownError = new Error('thrown');
+	let giveUpContext;
+
+	await t.throwsAsync(async () => {
+		// eslint-disable-next-line no-unreachable-loop
+		for await (const attempt of retryAttempts({
+			aggregateErrors: true,
+			onGiveUp(context) {
+				giveUpContext = context;
+			},
+		})) {
+			attempt.fail(fixtureError);
+			throw thrownError;
+		}
+	}, {is: thrownError});
+
+	t.is(giveUpContext.reason, 'non-retryable');
+	t.true(giveUpContext.error instanceof RetryError);
+	t.deepEqual(giveUpContext.error.errors, [fixtureError]);
+});
+
+test.serial('retryAttempts rejects the options it does not support', async t => {
+	for (const name of ['retryIf', 'hedge', 'key', 'fallback', 'fallbackOnAbort']) {
+		await t.throwsAsync(retryAttempts({[name]: {}}).next(), {message: `The \`${name}\` option is not supported by \`retryAttempts()\`.`});
+	}
+});
+
+test.serial('test clock records the scheduled delays without waiting', async t => {
+	const clock = createTestClock();
+	const elapsed = [];
+
+	const promise = pRetry(async (attemptNumber, context) => {
+		elapsed.push(context.elapsed);
+
+		if (attemptNumber < 4) {
+			throw fixtureError;
+		}
+
+		return fixture;
+	}, {clock, minTimeout: 1000});
+
+	await clock.runAll();
+
+	t.is(await promise, fixture);
+	t.deepEqual(clock.sleeps, [1000, 2000, 4000]);
+	t.deepEqual(elapsed, [0, 1000, 3000, 7000]);
+	t.is(clock.now(), 7000);
+});
+
+test.serial('test clock advances time with tick', async t => {
+	const clock = createTestClock({random: () => 0});
+	let attempts = 0;
+
+	const promise = pRetry(async () => {
+		attempts++;
+		throw fixtureError;
+	}, {
+		clock,
+		retries: 2,
+		minTimeout: 100,
+		randomize: true,
+	});
+
+	await clock.tick(99);
+	t.is(attempts, 1);
+
+	await clock.tick(1);
+	t.is(attempts, 2);
+
+	await clock.tick(1000);
+	await t.throwsAsync(promise, {is: fixtureError});
+	t.is(attempts, 3);
+	t.deepEqual(clock.sleeps, [100, 200]);
+	t.is(clock.now(), 1100);
+});
+
+test.serial('test clock drives attemptTimeout', async t => {
+	const clock = createTestClock();
+
+	const promise = pRetry(() => new Promise(() => {}), {
+		clock,
+		retries: 0,
+		attemptTimeout: 5000,
+	});
+
+	await clock.tick(5000);
+	await t.throwsAsync(promise, {instanceOf: TimeoutError});
+});
+
+test.serial('circuit breaker and retry budget accept a clock', async t => {
+	const clock = createTestClock();
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 1, cooldown: 1000, clock});
+	const retryBudget = new RetryBudget({minRetries: 1, window: 1000, clock});
+
+	circuitBreaker.recordFailure();
+	t.is(circuitBreaker.state, 'open');
+	t.true(retryBudget.allowRetry());
+	t.false(retryBudget.allowRetry());
+
+	await clock.tick(1000);
+
+	t.is(circuitBreaker.state, 'half-open');
+	t.true(retryBudget.allowRetry());
+});
+
+test.serial('custom clock methods are used', async t => {
+	const sleeps = [];
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		retries: 2,
+		minTimeout: 100,
+		clock: {
+			async sleep(milliseconds) {
+				sleeps.push(milliseconds);
+			},
+		},
+	}), {is: fixtureError});
+
+	t.deepEqual(sleeps, [100, 200]);
+
+	await t.throwsAsync(pRetry(async () => {}, {clock: 'clock'}), {
+		instanceOf: TypeError,
+		message: 'Expected `clock` to be an object.',
+	});
+});
+
+test.serial('createRetry merges per-call options onto the defaults', async t => {
+	const failedAttempts = [];
+	const retry = createRetry({
+		retries: 1,
+		minTimeout: 0,
+		onFailedAttempt({attemptNumber}) {
+			failedAttempts.push(attemptNumber);
+		},
+	});
+
+	let attempts = 0;
+	await t.throwsAsync(retry(async () => {
+		attempts++;
+		throw fixtureError;
+	}), {is: fixtureError});
+
+	t.is(attempts, 2);
+	t.deepEqual(failedAttempts, [1, 2]);
+
+	attempts = 0;
+	await t.throwsAsync(retry(async () => {
+		attempts++;
+		throw fixtureError;
+	}, {retries: 3}), {is: fixtureError});
+
+	t.is(attempts, 4);
+});
+
+test.serial('createRetry makeRetriable preserves `this` and uses the defaults', async t => {
+	const retry = createRetry({retries: 5, minTimeout: 0});
+	const object = {
+		calls: 0,
+		async run(value) {
+			this.calls++;
+			if (this.calls < 3) {
+				throw fixtureError;
+			}
+
+			return value;
+		},
+	};
+
+	object.run = retry.makeRetriable(object.run);
+
+	t.is(await object.run(fixture), fixture);
+	t.is(object.calls, 3);
+});
+
+test.serial('createRetry extend derives a policy that shares state', async t => {
+	const circuitBreaker = new CircuitBreaker({minimumAttempts: 2});
+	const retry = createRetry({retries: 0, circuitBreaker});
+	const derived = retry.extend({minTimeout: 0});
+
+	t.is(derived.defaults.circuitBreaker, circuitBreaker);
+	t.is(derived.defaults.retries, 0);
+	t.true(Object.isFrozen(derived.defaults));
+
+	await t.throwsAsync(retry(async () => {
+		throw fixtureError;
+	}));
+	await t.throwsAsync(derived(async () => {
+		throw fixtureError;
+	}));
+
+	t.is(circuitBreaker.state, 'open');
+	await t.throwsAsync(retry(async () => {}), {instanceOf: CircuitOpenError});
+});
+
+test.serial('createRetry validates the defaults', t => {
+	t.throws(() => createRetry({retries: -1}), {instanceOf: TypeError});
+});
+
+test.serial('http policy retries retryable HTTP errors only', async t => {
+	const attemptsFor = async error => {
+		let attempts = 0;
+
+		await t.throwsAsync(pRetry(async () => {
+			attempts++;
+			throw error;
+		}, {
+			...policies.http,
+			retries: 1,
+			minTimeout: 0,
+			getRetryDelay: () => 0,
+		}));
+
+		return attempts;
+	};
+
+	t.is(await attemptsFor(Object.assign(new Error('Service Unavailable'), {status: 503})), 2);
+	t.is(await attemptsFor(Object.assign(new Error('Too Many Requests'), {response: {status: 429}})), 2);
+	t.is(await attemptsFor(new TypeError('Failed to fetch')), 2);
+	t.is(await attemptsFor(new TypeError('fetch failed', {cause: {code: 'ECONNRESET'}})), 2);
+	t.is(await attemptsFor(Object.assign(new Error('Not Found'), {status: 404})), 1);
+	t.is(await attemptsFor(Object.assign(new Error('Not Implemented'), {status: 501})), 1);
+	t.is(await attemptsFor(new TypeError('bug')), 1);
+});
+
+test.serial('database policy retries deadlocks and connection errors', async t => {
+	const attemptsFor = async error => {
+		let attempts = 0;
+
+		await t.throwsAsync(pRetry(async () => {
+			attempts++;
+			throw error;
+		}, {
+			...policies.database,
+			retries: 1,
+			minTimeout: 0,
+		}));
+
+		return attempts;
+	};
+
+	t.is(await attemptsFor(Object.assign(new Error('deadlock detected'), {code: '40P01'})), 2);
+	t.is(await attemptsFor(Object.assign(new Error('Deadlock'), {code: 'ER_LOCK_DEADLOCK'})), 2);
+	t.is(await attemptsFor(Object.assign(new Error('reset'), {code: 'ECONNRESET'})), 2);
+	t.is(await attemptsFor(Object.assign(new Error('syntax error'), {code: '42601'})), 1);
+});
+
+test.serial('policies are frozen and valid options', t => {
+	t.true(Object.isFrozen(policies));
+
+	for (const policy of Object.values(policies)) {
+		t.true(Object.isFrozen(policy));
+		t.notThrows(() => createRetry(policy));
+	}
+});
+
+const readResponse = error => error.response.text();
+
+const createFetch = responses => {
+	const requests = [];
+
+	const fetch = async (request, init) => {
+		requests.push({request, init, body: await request.text()});
+		const response = responses[requests.length - 1];
+
+		if (response instanceof Error) {
+			throw response;
+		}
+
+		return response;
+	};
+
+	return {fetch, requests};
+};
+
+test.serial('retryFetch retries retryable responses and re-sends the body', async t => {
+	const failed = new Response('unavailable', {status: 503});
+	const {fetch, requests} = createFetch([
+		failed,
+		new TypeError('fetch failed', {cause: {code: 'ECONNRESET'}}),
+		new Response('ok'),
+	]);
+
+	const response = await retryFetch('https://example.com', {method: 'PUT', body: 'unicorn'}, {fetch, minTimeout: 0});
+
+	t.is(await response.text(), 'ok');
+	t.deepEqual(requests.map(({body}) => body), ['unicorn', 'unicorn', 'unicorn']);
+	t.true(requests.every(({init}) => init.signal instanceof AbortSignal));
+	t.true(failed.bodyUsed);
+});
+
+test.serial('retryFetch rejects with an HTTPError for non-retryable responses', async t => {
+	const {fetch, requests} = createFetch([new Response('missing', {status: 404, statusText: 'Not Found'})]);
+
+	const error = await t.throwsAsync(retryFetch('https://example.com/unicorn', undefined, {fetch}), {
+		instanceOf: HTTPError,
+		message: 'Request failed with status code 404 Not Found: GET https://example.com/unicorn',
+	});
+
+	t.is(requests.length, 1);
+	t.is(error.status, 404);
+	t.is(await readResponse(error), 'missing');
+});
+
+test.serial('retryFetch only retries idempotent methods by default', async t => {
+	const post = createFetch([new Response('', {status: 503}), new Response('ok')]);
+	await t.throwsAsync(retryFetch('https://example.com', {method: 'POST', body: 'unicorn'}, {fetch: post.fetch, minTimeout: 0}), {instanceOf: HTTPError});
+	t.is(post.requests.length, 1);
+
+	const allowed = createFetch([new Response('', {status: 503}), new Response('ok')]);
+	await retryFetch('https://example.com', {method: 'POST', body: 'unicorn'}, {fetch: allowed.fetch, minTimeout: 0, retryMethods: ['post']});
+	t.is(allowed.requests.length, 2);
+});
+
+test.serial('retryFetch rejects for invalid arguments', async t => {
+	const {fetch, requests} = createFetch([new Response('ok')]);
+
+	await t.throwsAsync(retryFetch('not a url', undefined, {fetch}), {instanceOf: TypeError});
+	await t.throwsAsync(retryFetch('https://example.com', undefined, {fetch, retryMethods: 'GET'}), {message: 'Expected `retryMethods` to be an array of HTTP methods.'});
+	t.is(requests.length, 0);
+});
+
+test.serial('retryFetch honors Retry-After', async t => {
+	const clock = createTestClock();
+	const {fetch} = createFetch([
+		new Response('', {status: 429, headers: {'retry-after': '3'}}),
+		new Response('ok'),
+	]);
+
+	const promise = retryFetch('https://example.com', undefined, {fetch, clock});
+	await clock.runAll();
+	await promise;
+
+	t.deepEqual(clock.sleeps, [3000]);
+});
+
+const waitForAbort = signal => new Promise((resolve, reject) => {
+	signal.addEventListener('abort', () => {
+		reject(signal.reason);
+	});
+});
+
+test.serial('hedge starts another attempt when the first one is slow', async t => {
+	const clock = createTestClock();
+	const signals = [];
+
+	const promise = pRetry(async (attemptNumber, {signal}) => {
+		signals.push(signal);
+
+		if (attemptNumber === 1) {
+			return waitForAbort(signal);
+		}
+
+		return fixture;
+	}, {clock, hedge: {delay: 100}});
+
+	await clock.tick(100);
+
+	t.is(await promise, fixture);
+	t.is(signals.length, 2);
+	t.true(signals[0].aborted);
+	t.false(signals[1].aborted);
+	t.is(clock.sleeps[0], 100);
+});
+
+test.serial('hedge limits the attempts in flight and the number of retries', async t => {
+	const clock = createTestClock();
+	const attemptNumbers = [];
+	let finishSecond;
+
+	const promise = pRetry(async (attemptNumber, {signal}) => {
+		attemptNumbers.push(attemptNumber);
+
+		if (attemptNumber === 2) {
+			return new Promise(resolve => {
+				finishSecond = resolve;
+			});
+		}
+
+		return waitForAbort(signal);
+	}, {clock, retries: 5, hedge: {delay: 100, maxInFlight: 2}});
+
+	await clock.tick(1000);
+	t.deepEqual(attemptNumbers, [1, 2]);
+
+	finishSecond(fixture);
+	t.is(await promise, fixture);
+});
+
+test.serial('hedge retries once every attempt in flight failed', async t => {
+	const clock = createTestClock();
+	const failures = [];
+	let index = 0;
+
+	const promise = pRetry(async () => {
+		const current = ++index;
+
+		if (current <= 2) {
+			await clock.sleep(current === 1 ? 150 : 20);
+			throw new Error(`failure ${current}`);
+		}
+
+		return fixture;
+	}, {
+		clock,
+		minTimeout: 1000,
+		hedge: {delay: 100},
+		onFailedAttempt({error, attemptNumber}) {
+			failures.push({message: error.message, attemptNumber});
+		},
+	});
+
+	await clock.runAll();
+
+	t.is(await promise, fixture);
+	t.deepEqual(failures, [{message: 'failure 1', attemptNumber: 2}]);
+});
+
+test.serial('hedge fails right away on an error that is not retried', async t => {
+	const clock = createTestClock();
+	const signals = [];
+
+	const promise = pRetry(async (attemptNumber, {signal}) => {
+		signals.push(signal);
+
+		if (attemptNumber === 1) {
+			return waitForAbort(signal);
+		}
+
+		throw new AbortError(fixtureError);
+	}, {clock, hedge: {delay: 100}});
+
+	await clock.tick(100);
+
+	await t.throwsAsync(promise, {is: fixtureError});
+	t.true(signals[0].aborted);
+});
+
+test.serial('hedge rejects with the error of a throwing retryOn while other attempts are in flight', async t => {
+	const clock = createTestClock();
+	const predicateError = new Error('predicate bug');
+	const signals = [];
+
+	const promise = pRetry(async (attemptNumber, {signal}) => {
+		signals.push(signal);
+
+		if (attemptNumber === 1) {
+			return waitForAbort(signal);
+		}
+
+		throw fixtureError;
+	}, {
+		clock,
+		hedge: {delay: 50},
+		retryOn: [() => {
+			throw predicateError;
+		}],
+	});
+
+	await clock.tick(50);
+
+	await t.throwsAsync(promise, {is: predicateError});
+	t.true(signals[0].aborted);
+});
+
+test.serial('hedge is validated', async t => {
+	await t.throwsAsync(pRetry(() => fixture, {hedge: true}), {message: 'Expected `hedge` to be an object.'});
+	await t.throwsAsync(pRetry(() => fixture, {hedge: {}}), {message: 'Expected `hedge.delay` to be a number.'});
+	await t.throwsAsync(pRetry(() => fixture, {hedge: {delay: 10, maxInFlight: 0}}), {message: 'Expected `hedge.maxInFlight` to be a positive integer.'});
+});
+
+test.serial('pRetryWithStats resolves to the value and the statistics', async t => {
+	const clock = createTestClock();
+	const onFailedAttempt = [];
+	let index = 0;
+
+	const promise = pRetryWithStats(async () => {
+		if (++index < 3) {
+			throw fixtureError;
+		}
+
+		return fixture;
+	}, {
+		clock,
+		minTimeout: 100,
+		onFailedAttempt({attemptNumber}) {
+			onFailedAttempt.push(attemptNumber);
+		},
+	});
+
+	await clock.runAll();
+
+	t.deepEqual(await promise, {
+		value: fixture,
+		attempts: 3,
+		totalDelay: 300,
+		elapsed: 300,
+		errors: [fixtureError, fixtureError],
+	});
+	t.deepEqual(onFailedAttempt, [1, 2]);
+});
+
+test.serial('pRetryWithStats attaches the statistics to the error', async t => {
+	const error = await t.throwsAsync(pRetryWithStats(async () => {
+		throw new Error('failure');
+	}, {retries: 2, minTimeout: 0}));
+
+	t.is(error.retryStats.attempts, 3);
+	t.is(error.retryStats.totalDelay, 3);
+	t.is(error.retryStats.errors.length, 3);
+	t.true(Object.isFrozen(error.retryStats));
+});
+
+test.serial('pRetryWithStats records the errors of every failed attempt', async t => {
+	const typeError = new TypeError('b');
+	const errors = [new Error('a'), typeError];
+
+	const error = await t.throwsAsync(pRetryWithStats(async () => {
+		throw errors.shift();
+	}, {minTimeout: 0}), {is: typeError});
+
+	t.is(error.retryStats.attempts, 2);
+	t.deepEqual(error.retryStats.errors.map(({message}) => message), ['a', 'b']);
+
+	const abortError = await t.throwsAsync(pRetryWithStats(async () => {
+		throw new AbortError(fixtureError);
+	}), {is: fixtureError});
+
+	t.deepEqual(abortError.retryStats.errors, [fixtureError]);
+
+	const {errors: resultErrors} = await pRetryWithStats(attemptNumber => attemptNumber, {
+		minTimeout: 0,
+		retryIf: result => result < 2,
+	});
+
+	t.true(resultErrors[0] instanceof ResultError);
+	t.is(resultErrors.length, 1);
+});
+
+test.serial('pRetryWithStats records the errors of hedged attempts, but not of those that lost', async t => {
+	const clock = createTestClock();
+
+	const promise = pRetryWithStats(async (attemptNumber, {signal}) => {
+		if (attemptNumber === 1) {
+			await clock.sleep(200);
+			throw fixtureError;
+		}
+
+		// The third attempt starts when the first one fails, and is aborted when the second one succeeds
+		await clock.sleep(150, signal);
+		return attemptNumber;
+	}, {clock, hedge: {delay: 100}});
+
+	await clock.runAll();
+
+	const {value, attempts, errors} = await promise;
+	t.is(value, 2);
+	t.is(attempts, 3);
+	t.deepEqual(errors, [fixtureError]);
+});
+
+test.serial('pRetryWithStats only counts the attempts of a resumed durable job made by the call', async t => {
+	const store = new MemoryRetryStore();
+
+	await store.set('job', {
+		attemptNumber: 3,
+		startTime: Date.now(),
+		nextRunTime: Date.now(),
+		delay: 1000,
+		error: {name: 'Error', message: 'previous'},
+	});
+
+	const {value, attempts, errors} = await pRetryWithStats(() => fixture, {durable: {store, key: 'job'}});
+
+	t.is(value, fixture);
+	t.is(attempts, 1);
+	t.deepEqual(errors, []);
+});
+
+test.serial('pRetryWithStats leaves frozen errors alone', async t => {
+	const frozenError = Object.freeze(new Error('frozen'));
+
+	const error = await t.throwsAsync(pRetryWithStats(async () => {
+		throw frozenError;
+	}, {retries: 0}));
+
+	t.is(error, frozenError);
+	t.is(error.retryStats, undefined);
+});
+
+const createTracer = () => {
+	const spans = [];
+
+	const tracer = {
+		startSpan(name, {attributes, parent}) {
+			const span = {
+				name,
+				attributes: {...attributes},
+				parent: parent?.name,
+				events: [],
+				exceptions: [],
+				status: undefined,
+				isEnded: false,
+				setAttribute(key, value) {
+					span.attributes[key] = value;
+				},
+				addEvent(name, attributes) {
+					span.events.push({name, attributes});
+				},
+				recordException(exception) {
+					span.exceptions.push(exception);
+				},
+				setStatus(status) {
+					span.status = status;
+				},
+				end() {
+					span.isEnded = true;
+				},
+			};
+
+			spans.push(span);
+			return span;
+		},
+	};
+
+	return {tracer, spans};
+};
+
+test.serial('tracer records a span for the call and each attempt', async t => {
+	const {tracer, spans} = createTracer();
+	let index = 0;
+
+	await pRetry(async () => {
+		if (++index < 2) {
+			throw fixtureError;
+		}
+
+		return fixture;
+	}, {tracer, retries: 3, minTimeout: 0});
+
+	t.deepEqual(spans.map(({name}) => name), ['retry', 'retry.attempt', 'retry.attempt']);
+	t.deepEqual(spans.map(({parent}) => parent), [undefined, 'retry', 'retry']);
+	t.deepEqual(spans.map(({status}) => status), [{code: 1}, {code: 2, message: fixtureError.message}, {code: 1}]);
+	t.true(spans.every(({isEnded}) => isEnded));
+
+	const [call, failedAttempt, attempt] = spans;
+	t.deepEqual(call.attributes, {'retry.max_retries': 3, 'retry.attempts': 2});
+	t.deepEqual(call.events, [{name: 'retry', attributes: {'retry.attempt_number': 1, 'retry.delay': 1, 'retry.error': fixtureError.message}}]);
+	t.deepEqual(failedAttempt.attributes, {'retry.attempt_number': 1});
+	t.deepEqual(failedAttempt.exceptions, [fixtureError]);
+	t.deepEqual(attempt.attributes, {'retry.attempt_number': 2});
+});
+
+test.serial('tracer records the give up reason', async t => {
+	const {tracer, spans} = createTracer();
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {tracer, retries: 1, minTimeout: 0}), {is: fixtureError});
+
+	const [call] = spans;
+	t.is(spans.length, 3);
+	t.is(call.attributes['retry.give_up_reason'], 'retries-exhausted');
+	t.is(call.attributes['retry.attempts'], 2);
+	t.deepEqual(call.exceptions, [fixtureError]);
+	t.deepEqual(call.status, {code: 2, message: fixtureError.message});
+	t.true(spans.every(({isEnded}) => isEnded));
+});
+
+test.serial('tracer ends the span when a hook throws', async t => {
+	const {tracer, spans} = createTracer();
+	const hookError = new Error('hook');
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		tracer,
+		onFailedAttempt() {
+			throw hookError;
+		},
+	}), {is: hookError});
+
+	t.deepEqual(spans[0].exceptions, [hookError]);
+	t.true(spans.every(({isEnded}) => isEnded));
+});
+
+test.serial('tracer traces retryAttempts', async t => {
+	const {tracer, spans} = createTracer();
+
+	for await (const attempt of retryAttempts({tracer, minTimeout: 0})) {
+		if (attempt.attemptNumber === 1) {
+			attempt.fail(fixtureError);
+			continue;
+		}
+
+		attempt.succeed();
+		break;
+	}
+
+	t.deepEqual(spans.map(({name, status}) => ({name, status})), [
+		{name: 'retry', status: {code: 1}},
+		{name: 'retry.attempt', status: {code: 2, message: fixtureError.message}},
+		{name: 'retry.attempt', status: {code: 1}},
+	]);
+});
+
+test.serial('tracer ends the spans when the retryAttempts loop is left after a failed attempt', async t => {
+	const {tracer, spans} = createTracer();
+
+	// eslint-disable-next-line no-unreachable-loop
+	for await (const attempt of retryAttempts({tracer})) {
+		attempt.fail(fixtureError);
+		break;
+	}
+
+	t.deepEqual(spans.map(({name, status, isEnded}) => ({name, status, isEnded})), [
+		{name: 'retry', status: {code: 2, message: fixtureError.message}, isEnded: true},
+		{name: 'retry.attempt', status: {code: 2, message: fixtureError.message}, isEnded: true},
+	]);
+	t.is(spans[0].attributes['retry.give_up_reason'], 'non-retryable');
+});
+
+test.serial('tracer is validated', async t => {
+	await t.throwsAsync(pRetry(() => fixture, {tracer: {}}), {message: 'Expected `tracer` to have a `startSpan` method.'});
+});
+
+const createMetrics = () => {
+	const counters = [];
+	const histograms = [];
+
+	const metrics = {
+		increment(name, tags) {
+			counters.push({name, tags});
+		},
+		record(name, value, tags) {
+			histograms.push({name, value, tags});
+		},
+	};
+
+	return {metrics, counters, histograms};
+};
+
+test.serial('metrics reports attempts, retries, and successes', async t => {
+	const clock = createTestClock();
+	const {metrics, counters, histograms} = createMetrics();
+	let index = 0;
+
+	const promise = pRetry(async () => {
+		if (++index < 3) {
+			throw fixtureError;
+		}
+
+		return fixture;
+	}, {
+		clock,
+		metrics,
+		operation: 'fetch-user',
+		minTimeout: 100,
+	});
+
+	await clock.runAll();
+	await promise;
+
+	const tags = {operation: 'fetch-user'};
+
+	t.deepEqual(counters, [
+		{name: 'retry.attempts', tags},
+		{name: 'retry.retries', tags},
+		{name: 'retry.attempts', tags},
+		{name: 'retry.retries', tags},
+		{name: 'retry.attempts', tags},
+		{name: 'retry.successes', tags: {...tags, retried: true}},
+	]);
+
+	t.deepEqual(histograms, [
+		{name: 'retry.delay', value: 100, tags},
+		{name: 'retry.delay', value: 200, tags},
+		{name: 'retry.elapsed', value: 300, tags: {...tags, outcome: 'success'}},
+	]);
+});
+
+test.serial('metrics reports give ups with their reason', async t => {
+	const {metrics, counters, histograms} = createMetrics();
+	const controller = new AbortController();
+
+	const promise = pRetry(async () => {
+		controller.abort(fixtureError);
+		throw new Error('failure');
+	}, {metrics, signal: controller.signal});
+
+	await t.throwsAsync(promise, {is: fixtureError});
+
+	t.deepEqual(counters.at(-1), {name: 'retry.give_ups', tags: {reason: 'aborted'}});
+	t.is(histograms.at(-1).tags.outcome, 'give-up');
+});
+
+test.serial('metrics works with makeRetriable', async t => {
+	const {metrics, counters} = createMetrics();
+	const retriable = makeRetriable(async value => value, {metrics, operation: 'echo'});
+
+	t.is(await retriable(fixture), fixture);
+	t.deepEqual(counters, [
+		{name: 'retry.attempts', tags: {operation: 'echo'}},
+		{name: 'retry.successes', tags: {operation: 'echo', retried: false}},
+	]);
+});
+
+test.serial('metrics is validated', async t => {
+	await t.throwsAsync(pRetry(() => fixture, {metrics: {increment() {}}}), {message: 'Expected `metrics` to have `increment` and `record` methods.'});
+});
+
+test.serial('pRetryAll resolves to the results in order', async t => {
+	const failed = new Set();
+
+	const results = await pRetryAll([1, 2, 3].map(number => async () => {
+		if (number === 2 && !failed.has(number)) {
+			failed.add(number);
+			throw fixtureError;
+		}
+
+		await delay(10 * (4 - number));
+		return number;
+	}), {minTimeout: 0});
+
+	t.deepEqual(results, [1, 2, 3]);
+});
+
+test.serial('pRetryAll limits the attempts in flight and frees the slot while waiting to retry', async t => {
+	const clock = createTestClock();
+	const started = [];
+	let active = 0;
+	let maximumActive = 0;
+
+	const promise = pRetryAll(['a', 'b', 'c'].map(name => async attemptNumber => {
+		started.push(`${name}${attemptNumber}`);
+		active++;
+		maximumActive = Math.max(maximumActive, active);
+		await clock.sleep(10);
+		active--;
+
+		if (name === 'a' && attemptNumber === 1) {
+			throw fixtureError;
+		}
+
+		return name;
+	}), {clock, concurrency: 1, minTimeout: 1000});
+
+	await clock.runAll();
+
+	t.deepEqual(await promise, ['a', 'b', 'c']);
+	t.is(maximumActive, 1);
+	t.deepEqual(started, ['a1', 'b1', 'c1', 'a2']);
+});
+
+test.serial('pRetryAll aborts the other tasks when one gives up', async t => {
+	const signals = [];
+
+	const promise = pRetryAll([
+		async () => {
+			throw new AbortError(fixtureError);
+		},
+		async (attemptNumber, {signal}) => {
+			signals.push(signal);
+			return waitForAbort(signal);
+		},
+	]);
+
+	await t.throwsAsync(promise, {is: fixtureError});
+	t.true(signals[0].aborted);
+});
+
+test.serial('pRetryAll with settled resolves to the outcomes', async t => {
+	const results = await pRetryAll([
+		() => fixture,
+		async () => {
+			throw new AbortError(fixtureError);
+		},
+	], {settled: true});
+
+	t.deepEqual(results, [
+		{status: 'fulfilled', value: fixture},
+		{status: 'rejected', reason: fixtureError},
+	]);
+});
+
+test.serial('pRetryAll signal cancels tasks waiting for a slot', async t => {
+	const controller = new AbortController();
+	let calls = 0;
+
+	const promise = pRetryAll([
+		async (attemptNumber, {signal}) => {
+			calls++;
+			const aborted = waitForAbort(signal);
+			controller.abort(fixtureError);
+			return aborted;
+		},
+		() => {
+			calls++;
+		},
+	], {concurrency: 1, signal: controller.signal, settled: true});
+
+	const results = await promise;
+
+	t.is(calls, 1);
+	t.deepEqual(results.map(({reason}) => reason), [fixtureError, fixtureError]);
+});
+
+test.serial('pRetryAll validates concurrency', async t => {
+	await t.throwsAsync(pRetryAll([], {concurrency: 0}), {message: 'Expected `concurrency` to be an integer from 1 and up or `Infinity`.'});
+});
+
+test.serial('pRetryAll rejects the options that would tie the tasks together', async t => {
+	let calls = 0;
+	const tasks = [() => ++calls, () => ++calls];
+
+	await t.throwsAsync(pRetryAll(tasks, {key: 'batch'}), {message: 'The `key` option is not supported by `pRetryAll()`.'});
+	await t.throwsAsync(pRetryAll(tasks, {durable: {store: new MemoryRetryStore(), key: 'batch'}}), {message: 'The `durable` option is not supported by `pRetryAll()`.'});
+	t.is(calls, 0);
+});
+
+test.serial('durable resumes an aborted job from the stored attempt and delay', async t => {
+	const clock = createTestClock();
+	const store = new MemoryRetryStore();
+	const controller = new AbortController();
+	const attemptNumbers = [];
+
+	const input = async attemptNumber => {
+		attemptNumbers.push(attemptNumber);
+
+		if (attemptNumber === 1) {
+			throw fixtureError;
+		}
+
+		return fixture;
+	};
+
+	const stopError = new Error('stopped');
+	const firstRun = t.throwsAsync(pRetry(input, {
+		clock,
+		signal: controller.signal,
+		durable: {store, key: 'job'},
+	}), {is: stopError});
+
+	await clock.tick(400);
+	controller.abort(stopError);
+	await firstRun;
+
+	t.deepEqual(await store.get('job'), {
+		attemptNumber: 1,
+		startTime: 0,
+		nextRunTime: 1000,
+		delay: 1000,
+		error: {name: 'Error', message: fixtureError.message},
+	});
+
+	const secondRun = pRetry(input, {clock, durable: {store, key: 'job'}});
+	await clock.runAll();
+
+	t.is(await secondRun, fixture);
+	t.deepEqual(attemptNumbers, [1, 2]);
+	t.is(clock.sleeps.at(-1), 600);
+	t.is(await store.get('job'), undefined);
+});
+
+test.serial('durable keeps the start time for maxRetryTime', async t => {
+	const clock = createTestClock({now: 5000});
+	const store = new MemoryRetryStore();
+	const contexts = [];
+
+	await store.set('job', {
+		attemptNumber: 3,
+		startTime: 4500,
+		nextRunTime: 5000,
+		delay: 500,
+		error: {name: 'Error', message: 'previous', code: 'ECONNRESET'},
+	});
+
+	const promise = pRetry(async (attemptNumber, context) => {
+		contexts.push(context);
+		throw fixtureError;
+	}, {
+		clock,
+		minTimeout: 1000,
+		maxRetryTime: 1000,
+		durable: {store, key: 'job'},
+	});
+
+	const assertion = t.throwsAsync(promise, {is: fixtureError});
+	await clock.runAll();
+	await assertion;
+
+	t.deepEqual(contexts.map(({attemptNumber}) => attemptNumber), [4, 5]);
+	t.is(contexts[0].previousError.code, 'ECONNRESET');
+	t.is(clock.now(), 5500);
+	t.is(await store.get('job'), undefined);
+});
+
+test.serial('durable gives up with the stored error when the stored start time is past maxRetryTime', async t => {
+	const clock = createTestClock({now: 10_000});
+	const store = new MemoryRetryStore();
+	let giveUpContext;
+	let attempts = 0;
+
+	await store.set('job', {
+		attemptNumber: 2,
+		startTime: 0,
+		nextRunTime: 10_000,
+		delay: 1000,
+		error: {name: 'Error', message: 'previous', code: 'ECONNRESET'},
+	});
+
+	const error = await t.throwsAsync(pRetry(async () => {
+		attempts++;
+	}, {
+		clock,
+		maxRetryTime: 1000,
+		durable: {store, key: 'job'},
+		onGiveUp(context) {
+			giveUpContext = context;
+		},
+	}), {message: 'previous'});
+
+	t.is(error.code, 'ECONNRESET');
+	t.is(attempts, 0);
+	t.is(giveUpContext.reason, 'max-retry-time');
+	t.is(await store.get('job'), undefined);
+});
+
+test.serial('durable gives up with the stored error when the stored attempt used up the retries', async t => {
+	const store = new MemoryRetryStore();
+	let giveUpContext;
+	let attempts = 0;
+
+	await store.set('job', {
+		attemptNumber: 5,
+		startTime: Date.now(),
+		nextRunTime: Date.now(),
+		delay: 1000,
+		error: {name: 'Error', message: 'previous', code: 'ECONNRESET'},
+	});
+
+	const error = await t.throwsAsync(pRetry(async () => {
+		attempts++;
+	}, {
+		retries: 2,
+		durable: {store, key: 'job'},
+		onGiveUp(context) {
+			giveUpContext = context;
+		},
+	}), {message: 'previous'});
+
+	t.is(error.code, 'ECONNRESET');
+	t.is(attempts, 0);
+	t.is(giveUpContext.reason, 'retries-exhausted');
+	t.is(giveUpContext.attemptNumber, 5);
+	t.is(await store.get('job'), undefined);
+});
+
+test.serial('FileRetryStore persists records in a file', async t => {
+	const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'p-retry-'));
+	const file = path.join(directory, 'retries.json');
+	const record = {
+		attemptNumber: 1,
+		startTime: 0,
+		nextRunTime: 1000,
+		delay: 1000,
+		error: {name: 'Error', message: 'failure'},
+	};
+
+	try {
+		const store = new FileRetryStore(file);
+		t.is(await store.get('a'), undefined);
+
+		await Promise.all([
+			store.set('a', record),
+			store.set('b', {...record, attemptNumber: 2}),
+		]);
+
+		const reopenedStore = new FileRetryStore(file);
+		t.deepEqual(await reopenedStore.get('a'), record);
+		t.deepEqual(await reopenedStore.get('b'), {...record, attemptNumber: 2});
+
+		await store.delete('a');
+		t.is(await store.get('a'), undefined);
+		t.deepEqual(await fs.readdir(directory), ['retries.json']);
+	} finally {
+		await fs.rm(directory, {recursive: true, force: true});
+	}
+});
+
+test.serial('durable is validated', async t => {
+	await t.throwsAsync(pRetry(() => fixture, {durable: {key: 'job'}}), {message: 'Expected `durable` to be an object with a `store` and a string `key`.'});
+	await t.throwsAsync(pRetry(() => fixture, {durable: {store: new MemoryRetryStore()}}), {message: 'Expected `durable` to be an object with a `store` and a string `key`.'});
+	t.throws(() => new FileRetryStore(1), {message: 'Expected `path` to be a string.'});
+});
+
+test.serial('key shares the retries of concurrent calls', async t => {
+	const clock = createTestClock();
+	let calls = 0;
+
+	const run = () => pRetry(async () => {
+		if (++calls < 2) {
+			throw fixtureError;
+		}
+
+		return calls;
+	}, {clock, key: 'shared'});
+
+	const promises = [run(), run(), run()];
+	await clock.runAll();
+
+	t.deepEqual(await Promise.all(promises), [2, 2, 2]);
+	t.is(calls, 2);
+
+	// Released once settled
+	t.is(await run(), 3);
+});
+
+test.serial('key shares the error and is released afterwards', async t => {
+	let calls = 0;
+	const run = () => pRetry(async () => {
+		calls++;
+		throw new AbortError(fixtureError);
+	}, {key: 'shared-error'});
+
+	const results = await Promise.allSettled([run(), run()]);
+
+	t.deepEqual(results.map(({reason}) => reason), [fixtureError, fixtureError]);
+	t.is(calls, 1);
+
+	await t.throwsAsync(run(), {is: fixtureError});
+	t.is(calls, 2);
+});
+
+test.serial('key lets a joining call be aborted by its own signal', async t => {
+	let calls = 0;
+	let finish;
+	const run = signal => pRetry(async () => {
+		calls++;
+		await new Promise(resolve => {
+			finish = resolve;
+		});
+
+		return fixture;
+	}, {key: 'shared-signal', signal});
+
+	const first = run();
+	const controller = new AbortController();
+	const joined = run(controller.signal);
+	const alreadyAborted = run(AbortSignal.abort(fixtureError));
+
+	controller.abort(fixtureError);
+
+	await t.throwsAsync(joined, {is: fixtureError});
+	await t.throwsAsync(alreadyAborted, {is: fixtureError});
+
+	finish();
+
+	t.is(await first, fixture);
+	t.is(calls, 1);
+});
+
+test.serial('key keeps the shared retries running when the first call is aborted', async t => {
+	const leaderError = new Error('leader aborted');
+	const signals = [];
+	let finish;
+	const run = signal => pRetry(async (attemptNumber, context) => {
+		signals.push(context.signal);
+		await new Promise(resolve => {
+			finish = resolve;
+		});
+
+		return fixture;
+	}, {key: 'shared-leader', signal});
+
+	const leaderController = new AbortController();
+	const leader = run(leaderController.signal);
+	const joined = run();
+
+	leaderController.abort(leaderError);
+	await t.throwsAsync(leader, {is: leaderError});
+
+	finish();
+
+	t.is(await joined, fixture);
+	t.is(signals.length, 1);
+	t.false(signals[0].aborted);
+});
+
+test.serial('key aborts the shared retries once every call is aborted', async t => {
+	const controllers = [new AbortController(), new AbortController()];
+	const signals = [];
+
+	const [first, second] = controllers.map(({signal}) => pRetry(async (attemptNumber, context) => {
+		signals.push(context.signal);
+		return waitForAbort(context.signal);
+	}, {key: 'shared-aborted', signal}));
+
+	controllers[0].abort(new Error('first aborted'));
+	await t.throwsAsync(first, {message: 'first aborted'});
+	t.false(signals[0].aborted);
+
+	controllers[1].abort(fixtureError);
+	await t.throwsAsync(second, {is: fixtureError});
+	t.true(signals[0].aborted);
+	t.is(signals.length, 1);
+});
+
+test.serial('makeRetriable derives the key from the arguments', async t => {
+	const calls = [];
+	const getUser = makeRetriable(async id => {
+		calls.push(id);
+		await delay(10);
+		return {id};
+	}, {key: id => `user:${id}`});
+
+	const [first, second, third] = await Promise.all([getUser(1), getUser(1), getUser(2)]);
+
+	t.deepEqual(calls, [1, 2]);
+	t.is(first, second);
+	t.deepEqual(third, {id: 2});
+});
+
+test.serial('cooldown from a retry hint delays the other calls in the scope', async t => {
+	const clock = createTestClock();
+	const registry = new CooldownRegistry({clock});
+	const cooldown = {registry, scope: 'api.example.com'};
+	const started = [];
+
+	const limited = pRetry(async attemptNumber => {
+		started.push(`limited${attemptNumber}@${clock.now()}`);
+
+		if (attemptNumber === 1) {
+			throw Object.assign(new Error('Too Many Requests'), {retryAfter: 5000});
+		}
+
+		return 'limited';
+	}, {clock, cooldown, maxTimeout: 1000});
+
+	await clock.tick(100);
+
+	const other = pRetry(async () => {
+		started.push(`other@${clock.now()}`);
+		return 'other';
+	}, {clock, cooldown});
+
+	await clock.runAll();
+
+	t.deepEqual(await Promise.all([limited, other]), ['limited', 'other']);
+	t.deepEqual(started, ['limited1@0', 'limited2@5000', 'other@5000']);
+	t.is(registry.get('api.example.com'), undefined);
+});
+
+test.serial('cooldown keeps the longest cooldown and honors maxRetryTime', async t => {
+	const clock = createTestClock();
+	const registry = new CooldownRegistry({clock});
+
+	registry.set('scope', 10_000);
+	registry.set('scope', new Date(2000));
+	t.is(registry.get('scope'), 10_000);
+
+	let attempts = 0;
+	const assertion = t.throwsAsync(pRetry(async () => {
+		attempts++;
+	}, {clock, maxRetryTime: 3000, cooldown: {registry, scope: 'scope'}}), {instanceOf: TimeoutError});
+
+	await clock.runAll();
+	await assertion;
+
+	t.is(attempts, 0);
+	t.is(clock.now(), 0);
+});
+
+test.serial('cooldown without a cooldown in effect does not change the attempts', async t => {
+	const countAttempts = async options => {
+		const clock = createTestClock();
+		let attempts = 0;
+
+		const assertion = t.throwsAsync(pRetry(async () => {
+			attempts++;
+			throw fixtureError;
+		}, {clock, ...options}), {is: fixtureError});
+
+		await clock.runAll();
+		await assertion;
+
+		return attempts;
+	};
+
+	const cooldown = {registry: new CooldownRegistry(), scope: 'scope'};
+
+	const expectations = [
+		[{maxRetryTime: 0}, 1],
+		[{minTimeout: 60, factor: 1, maxRetryTime: 100}, 3],
+	];
+
+	for (const [options, expected] of expectations) {
+		t.is(await countAttempts(options), expected);
+		t.is(await countAttempts({...options, cooldown}), expected);
+	}
+});
+
+test.serial('cooldown honors the signal', async t => {
+	const registry = new CooldownRegistry();
+	registry.set('scope', Date.now() + 60_000);
+
+	const controller = new AbortController();
+	const promise = pRetry(() => fixture, {signal: controller.signal, cooldown: {registry, scope: 'scope'}});
+	controller.abort(fixtureError);
+
+	await t.throwsAsync(promise, {is: fixtureError});
+});
+
+test.serial('cooldown is validated', async t => {
+	await t.throwsAsync(pRetry(() => fixture, {cooldown: {scope: 'scope'}}), {message: 'Expected `cooldown` to be an object with a `registry` and a `scope`.'});
+	t.throws(() => new CooldownRegistry().set('scope', 'soon'), {message: 'Expected `until` to be a number.'});
+});
+
+test.serial('fallback resolves with its value when giving up', async t => {
+	const contexts = [];
+
+	const result = await pRetry(async () => {
+		throw fixtureError;
+	}, {
+		retries: 1,
+		minTimeout: 0,
+		fallback(context) {
+			contexts.push(context);
+			return 'cached';
+		},
+	});
+
+	t.is(result, 'cached');
+	t.is(contexts.length, 1);
+
+	const [context] = contexts;
+	t.is(context.error, fixtureError);
+	t.is(context.reason, 'retries-exhausted');
+	t.is(context.attemptNumber, 2);
+	t.deepEqual(context.attempts.map(({error, attemptNumber}) => ({error, attemptNumber})), [
+		{error: fixtureError, attemptNumber: 1},
+		{error: fixtureError, attemptNumber: 2},
+	]);
+	t.true(Object.isFrozen(context));
+});
+
+test.serial('fallback rejects with its own error', async t => {
+	const fallbackError = new Error('fallback');
+
+	await t.throwsAsync(pRetry(async () => {
+		throw new AbortError(fixtureError);
+	}, {
+		async fallback() {
+			throw fallbackError;
+		},
+	}), {is: fallbackError});
+});
+
+test.serial('fallback is not called on abort unless requested', async t => {
+	const run = fallbackOnAbort => {
+		const controller = new AbortController();
+
+		return pRetry(async () => {
+			controller.abort(fixtureError);
+			throw new Error('failure');
+		}, {
+			signal: controller.signal,
+			fallbackOnAbort,
+			fallback: ({reason}) => reason,
+		});
+	};
+
+	await t.throwsAsync(run(false), {is: fixtureError});
+	t.is(await run(true), 'aborted');
+});
+
+test.serial('fallback is not called when a callback throws', async t => {
+	const hookError = new Error('hook');
+	let isCalled = false;
+
+	await t.throwsAsync(pRetry(async () => {
+		throw fixtureError;
+	}, {
+		onFailedAttempt() {
+			throw hookError;
+		},
+		fallback() {
+			isCalled = true;
+		},
+	}), {is: hookError});
+
+	t.false(isCalled);
+});
+
+test.serial('makeRetriable calls fallback with the this and arguments of the call', async t => {
+	const service = {
+		cache: new Map([[1, 'cached']]),
+		getPrice: makeRetriable(async () => {
+			throw new AbortError(fixtureError);
+		}, {
+			fallback({arguments: [id]}) {
+				return this.cache.get(id);
+			},
+		}),
+	};
+
+	t.is(await service.getPrice(1), 'cached');
+});
+
+test.serial('fallback is validated', async t => {
+	await t.throwsAsync(pRetry(() => fixture, {fallback: 'cached'}), {message: 'Expected `fallback` to be a function.'});
+});
+
 test('throws error from shouldRetry', async t => {
 	const thrown = new Error('shouldRetry failure');
 